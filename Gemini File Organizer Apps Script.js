@@ -10,10 +10,11 @@
  *
  * @workflow
  * 1.  **Stateful Folder Caching (Infrequent, Chained Execution)**:
- *     a. A time-based trigger runs `startFolderScan` periodically (default: daily) to scan
- *        your entire Google Drive folder structure.
- *     b. This process is broken into small, chained executions to avoid Google's 6-minute
+ *     a. A one-time full scan (`startFolderScan`) walks your entire Google Drive folder
+ *        structure. It is broken into small, chained executions to avoid Google's 6-minute
  *        runtime limit, ensuring even huge Drives can be fully scanned.
+ *     b. A time-based trigger runs `refreshFolderCache` periodically (default: daily), which
+ *        applies only the folder changes reported by the Drive Changes API since then.
  * 2.  **File Processing (Frequent)**: The main `scanFolderAndProcessFiles` function runs on a
  *     10-minute trigger. It reads the folder cache and processes a small batch of files from
  *     your source folder.
@@ -21,10 +22,12 @@
  * @configuration
  * - **SOURCE_FOLDER_NAME**: The name of the folder where you drop files to be processed.
  *   Default is "Scanned content".
- * - **BATCH_SIZE**: The max number of files to process per run. Default is 5. Keep this low
- *   to avoid timeouts.
+ * - **PROCESSING_RUNTIME_BUDGET_SECONDS**: How long a file processing run keeps taking files.
+ *   Each file's duration is projected from past files of the same type and size, and a backlog
+ *   is continued in a follow-up execution. Default is 270 (4.5 minutes).
+ * - **BATCH_SIZE**: An optional cap on the files processed per run. Default is 0 (no cap).
  * - **MAX_RUNTIME_SECONDS**: The time a folder scan runs before pausing and chaining to the
- *   next execution. Default is 240 (4 minutes).
+ *   next execution. Default is 270 (4.5 minutes).
  * - **FOLDER_CACHE_REFRESH_HOURS**: How often (in hours) to rescan your Drive folder
  *   structure. Default is 24 (daily). Supports multi-day intervals (e.g., 168 for a week).
  *
@@ -41,15 +44,54 @@
 
 // --- Global Configuration ---
 const SOURCE_FOLDER_NAME = "Scanned content";
-const BATCH_SIZE = 5; // Process up to 5 files per run to avoid timeouts.
-const MAX_RUNTIME_SECONDS = 300; // Run for 5 minutes before chaining to the next execution.
+const BATCH_SIZE = 0; // Optional cap on files per run from each inbox; 0 leaves it to the runtime budget
+const PROCESSING_RUNTIME_BUDGET_SECONDS = 270; // Stop taking files once the next one would end past this
+const MAX_RUNTIME_SECONDS = 270; // Scan folders this long before chaining; stays 90s clear of the 6-minute execution limit
 const FOLDER_CACHE_REFRESH_HOURS = 24; // How often to rescan the entire folder structure.
-const FOLDER_BATCH_SIZE = 250; // Process this many folders per continuation before checking runtime
+
+// --- Watchdog ---
+// The watchdog checks on a schedule that each of the organizer's triggers exists exactly once, that
+// the folder cache is fresh and that a running folder scan is still making progress. It repairs
+// what it can and emails NOTIFICATION_EMAIL about anything it cannot fix.
+const WATCHDOG_ENABLED = true;
+const WATCHDOG_INTERVAL_MINUTES = 30; // Options: 5, 10, 15, 30
+const SCAN_STALL_MINUTES = 15;        // A folder scan without a heartbeat for this long is considered stuck
+
+// --- Inboxes ---
+// Leave empty to use the single SOURCE_FOLDER_NAME inbox. Otherwise list each inbox by folder ID
+// (the last part of the folder's URL). All settings except `id` are optional:
+// - name: Shown in logs
+// - scope: Destination paths the AI may choose from. "/Finance/**" means /Finance and everything
+//   below it, "/Finance/*" only its direct subfolders. Default: every cached folder
+// - batchSize: Most files processed from this inbox per run. Default: BATCH_SIZE
+// - renamePolicy: "RENAME" to use the AI's filename (default) or "KEEP_ORIGINAL" to only move files
+// - model: Model to use with the configured AI_PLATFORM. Default: the platform's model
+// - promptAdditions: Extra instructions added to the prompt for files from this inbox
+// Inboxes take turns, one file at a time, so a busy inbox cannot starve the others.
+const INBOXES = [
+  // { id: "1AbCdEfGhIjKlMnOpQrStUvWxYz", name: "Finance", scope: ["/Finance/**"], batchSize: 5,
+  //   renamePolicy: "RENAME", model: "", promptAdditions: "Invoices are filed by year." },
+  // { id: "1ZyXwVuTsRqPoNmLkJiHgFeDcBa", name: "Personal", scope: ["/Home/**"], renamePolicy: "KEEP_ORIGINAL" },
+];
+
+// --- Shared Drives ---
+// Also scan the Shared Drives you can access. Their folders appear with the drive name as a
+// "//" prefix, e.g. "//Legal/Contracts/2025", and can be used as destinations and inboxes.
+// Needs the Drive API advanced service (Services → Drive API, v3).
+const INCLUDE_SHARED_DRIVES = false;
+
+// --- Push Notifications ---
+// Deploy the script as a web app (Deploy → New deployment → Web app, execute as you, access
+// "Anyone") and paste its /exec URL here, then run SETUP_PUSH_NOTIFICATIONS. Drive then notifies
+// the script of changes and new files are processed about a minute after they arrive. The
+// 10-minute trigger keeps running as a fallback. Needs the Drive API advanced service.
+const WEB_APP_URL = ""; // e.g. "https://script.google.com/macros/s/AKfy.../exec"
 
 // --- Folder Blacklisting ---
 // Folders to exclude from scanning and indexing. Supports both folder names and full paths:
 // - Simple folder name: "Photos" (excludes any folder named "Photos" and all its children)
 // - Full path from root: "School/Highschool" (excludes only the "Highschool" folder within "School")
+// - Shared Drive path: "//Legal/Archive" (excludes "Archive" in the "Legal" Shared Drive, or "//Legal" for the whole drive)
 const BLACKLISTED_PATHS = [
   // Examples (remove or modify as needed):
   // "Photos",           // Excludes any folder named "Photos"
@@ -58,14 +100,191 @@ const BLACKLISTED_PATHS = [
 ];
 
 // --- File Size Configuration ---
-const MAX_FILE_SIZE_MB = 18; // Maximum size for files (limit of Gemini's API with inline content) over the inline limit
+const INLINE_FILE_SIZE_LIMIT_MB = 18; // Files up to this size are sent inline (Gemini's inline request limit is 20MB)
+const MAX_FILE_SIZE_MB = 500;         // Larger files are uploaded to the Gemini Files API, up to this size (API max: 2GB)
+const GEMINI_UPLOAD_CHUNK_MB = 8;     // Chunk size for resumable uploads (must be a multiple of 0.25MB)
+
+// --- Content Extraction ---
+// Google Docs/Sheets/Slides are exported to text, Office files are unzipped, images and PDFs go
+// through Drive's OCR conversion and text files are read as an excerpt. The model then receives
+// compact text instead of raw bytes, so files over the size limits can still be organized.
+// OCR and Office conversion need the Drive API advanced service (Services → Drive API, v3).
+const EXTRACT_TEXT_BEFORE_AI = true;  // Set to false to send raw file bytes whenever possible
+const EXTRACTION_TOKEN_BUDGET = 8000; // Approximate max tokens of extracted text sent per file (~4 characters per token)
+const INCLUDE_PREVIEW_IMAGE = false;  // Also send the first page as a thumbnail image alongside the text
+const OCR_LANGUAGE = "en";            // Language hint for Drive OCR (ISO 639-1 code)
 
 // --- API Configuration ---
-const AI_PLATFORM = "GEMINI";                     // Options: "GEMINI", "OPENAI"
+const AI_PLATFORM = "GEMINI";                     // Options: "GEMINI", "OPENAI", "ANTHROPIC", "AZURE_OPENAI", "OPENAI_COMPATIBLE"
 const GEMINI_MODEL = "gemini-2.5-flash-lite-preview-06-17"; // Google Gemini model to use
 const GEMINI_API_KEY = "PASTE_YOUR_GEMINI_API_KEY_HERE"; // Your Gemini API key
 const OPENAI_API_KEY = "PASTE_YOUR_OPENAI_API_KEY_HERE"; // Your OpenAI API key (if using OPENAI)
 const OPENAI_MODEL = "gpt-4.1-nano";                // OpenAI model to use
+const ANTHROPIC_API_KEY = "PASTE_YOUR_ANTHROPIC_API_KEY_HERE"; // Your Anthropic API key (if using ANTHROPIC)
+const ANTHROPIC_MODEL = "claude-3-5-haiku-latest";  // Anthropic model to use
+const AZURE_OPENAI_API_KEY = "PASTE_YOUR_AZURE_OPENAI_API_KEY_HERE"; // Your Azure OpenAI key (if using AZURE_OPENAI)
+const AZURE_OPENAI_ENDPOINT = "https://YOUR-RESOURCE.openai.azure.com"; // Your Azure OpenAI resource endpoint
+const AZURE_OPENAI_DEPLOYMENT = "gpt-4.1-nano";     // Name of your Azure OpenAI deployment
+const AZURE_OPENAI_API_VERSION = "2024-10-21";      // Azure OpenAI REST API version
+const OPENAI_COMPATIBLE_BASE_URL = "https://your-ollama-host.example.com/v1"; // Ollama, vLLM or a mock server (must be reachable from Google)
+const OPENAI_COMPATIBLE_MODEL = "llama3.2-vision";  // Model name served by the OpenAI-compatible endpoint
+const OPENAI_COMPATIBLE_API_KEY = "";               // Optional; most self-hosted servers need no key
+
+// Input limits for OpenAI-style providers. Larger inputs are rejected before the API call is made.
+const OPENAI_MAX_IMAGE_MB = 20;                     // Largest image sent as an image_url part
+const OPENAI_MAX_TEXT_CHARS = 100000;               // Extracted or plain text is truncated to this length
+
+// Base URLs of the hosted APIs. Override these to point a provider at a mock server for testing.
+const GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+const OPENAI_API_BASE_URL = "https://api.openai.com/v1";
+const ANTHROPIC_API_BASE_URL = "https://api.anthropic.com/v1";
+
+// --- Rate Limiting ---
+// Calls to each provider wait until its requests-per-minute and tokens-per-minute budgets allow
+// them, instead of running into the provider's limits. Set a limit to 0 to turn it off. Match these
+// to your account's tier. Token counts are estimated from the size of the request.
+const RATE_LIMITS = {
+  GEMINI: { requestsPerMinute: 15, tokensPerMinute: 250000 },
+  OPENAI: { requestsPerMinute: 500, tokensPerMinute: 200000 },
+  ANTHROPIC: { requestsPerMinute: 50, tokensPerMinute: 50000 },
+  AZURE_OPENAI: { requestsPerMinute: 60, tokensPerMinute: 100000 },
+  OPENAI_COMPATIBLE: { requestsPerMinute: 0, tokensPerMinute: 0 }
+};
+// Rate-limited (429) and server error (5xx) responses are retried with jittered exponential
+// backoff, waiting as long as the provider asks when it says so. A retry that would have to wait
+// longer than API_RETRY_MAX_DELAY_SECONDS fails the file instead (it is retried on a later run).
+const API_MAX_RETRIES = 3;
+const API_RETRY_BASE_DELAY_SECONDS = 2;
+const API_RETRY_MAX_DELAY_SECONDS = 60;
+const QUOTA_PAUSE_MINUTES = 60; // Once a daily quota is used up, processing pauses this long unless the provider says otherwise
+
+// --- Usage & Costs ---
+// The token counts each provider reports are written to a usage ledger, with a cost estimated from
+// MODEL_PRICES (US dollars per million tokens, keyed by model or Azure deployment name). Models
+// missing from the table are counted at no cost. Run SHOW_USAGE_REPORT to see the totals.
+const MODEL_PRICES = {
+  "gemini-2.5-flash-lite-preview-06-17": { input: 0.10, output: 0.40 },
+  "gemini-2.5-flash": { input: 0.30, output: 2.50 },
+  "gpt-4.1-nano": { input: 0.10, output: 0.40 },
+  "gpt-4.1-mini": { input: 0.40, output: 1.60 },
+  "claude-3-5-haiku-latest": { input: 0.80, output: 4.00 }
+};
+// Once this month's estimated cost reaches the cap, file processing pauses until the next month
+// (or until the cap is raised) and a notification is emailed. 0 means no cap.
+const MONTHLY_BUDGET_USD = 0;
+const NOTIFICATION_EMAIL = ""; // Where notifications are sent; blank sends them to the account running the script
+
+// --- Confidence & Quarantine ---
+// The AI also rates its confidence (0 to 1), gives a short reason and up to three alternative
+// folders. Suggestions below MIN_CONFIDENCE, destinations missing from the folder cache and
+// unreadable responses send the file to the quarantine folder instead, with the suggestion, reason
+// and alternatives written to the file's description so a person can decide quickly.
+const MIN_CONFIDENCE = 0.6;
+const QUARANTINE_FOLDER_PATH = "/Needs Review"; // Created on first use and never offered as a destination
+
+// --- Folder Context ---
+// The AI is told what each folder is for: its Drive description (set in Drive's details panel),
+// your own guidance below, which takes precedence, and a few filenames already in it. Drives with
+// more folders than MAX_PROMPT_FOLDERS only list the folders whose words best match the document.
+const FOLDER_GUIDANCE = {
+  // "/Tax Returns": "Only tax returns, one subfolder per year",
+  // "/Ops": "Operations: vendor contracts, insurance and office leases",
+};
+const FOLDER_SAMPLE_FILENAMES = 3; // Example filenames per folder; 0 turns them off (and speeds up folder scans)
+const MAX_PROMPT_FOLDERS = 200;
+
+// --- Destination Validation ---
+// AI suggestions must name a folder from the folder cache. Near misses ("/finance/invoices",
+// "/Finance/Invoice") are corrected to the closest cached path; anything else is quarantined.
+// New folders are only created where one of the lists below allows it.
+const FUZZY_MATCH_THRESHOLD = 0.85; // Minimum similarity (0-1) of every path segment for a fuzzy match
+const FOLDER_CREATION_ALLOW_LIST = [
+  // Exact paths the AI may create, e.g. "/Finance/Invoices/2026"
+];
+const ALLOW_NEW_SUBFOLDERS_UNDER = [
+  // The AI may create new folders directly under these paths, e.g. "/Clients"
+];
+const RESCAN_DEBOUNCE_MINUTES = 60; // Unknown paths request a rescan; at most one starts per this many minutes
+
+// --- Retries ---
+// A file that fails (API error, unreadable content, unusable destination) is retried with
+// exponential backoff: after RETRY_BASE_DELAY_MINUTES, then twice as long each time, up to
+// RETRY_MAX_DELAY_HOURS. After MAX_ATTEMPTS failures it is moved to the dead-letter folder.
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MINUTES = 10;
+const RETRY_MAX_DELAY_HOURS = 24;
+const DEAD_LETTER_FOLDER_PATH = "/Failed Files"; // Created on first use and never offered as a destination
+
+// --- File Naming ---
+// The AI returns the parts of a name separately. Leave FILENAME_TEMPLATE empty to use the AI's own
+// filename, or set it to put the parts together, e.g. "{date:YYYY-MM-DD} {vendor} - {title}.{ext}".
+// Placeholders: {title}, {vendor}, {date:YYYY-MM-DD}, {ext} (the original extension), {original}
+// (the original name), {suggested} (the AI's own filename) and {created}/{today} (dates). Empty
+// fields are dropped with their separators.
+// Every name is cleaned of illegal characters, keeps the original extension and is capped at
+// MAX_FILENAME_LENGTH characters.
+const FILENAME_TEMPLATE = "";
+const MAX_FILENAME_LENGTH = 120;
+const FILENAME_COLLISION_STRATEGY = "COUNTER"; // When the name is taken: "COUNTER" adds " (2)", "TIMESTAMP" the current time, "FILE_ID" part of the file ID
+const KEEP_ORIGINAL_NAME_FOLDERS = [
+  // Files moved into these folders keep their name, e.g. "/Photos/**" (same patterns as inbox scopes)
+];
+
+// --- Metadata Extraction ---
+// When enabled, the AI also sorts each document into one of the types below and extracts that
+// type's fields (types: "string", "number" or "date"). The values are stored as Drive file
+// properties, searchable with e.g. properties has { key='vendor' and value='ACME' }, and listed in
+// the file's description. Drive properties need the Drive API advanced service.
+const METADATA_EXTRACTION_ENABLED = false;
+const EXTRACTION_SCHEMAS = {
+  invoice: { vendor: "string", invoiceNumber: "string", amount: "number", currency: "string", dueDate: "date" },
+  receipt: { merchant: "string", amount: "number", currency: "string", date: "date" },
+  letter: { sender: "string", subject: "string", date: "date" },
+  contract: { parties: "string", effectiveDate: "date", endDate: "date" }
+};
+
+// --- Duplicates ---
+// Files are checked against an index of files organized before. An exact copy (same checksum, or
+// the same text after OCR) is moved to DUPLICATES_FOLDER_PATH or, with "TRASH", to the trash.
+// A file whose text is nearly the same as an organized file is quarantined as a likely duplicate.
+const DUPLICATE_POLICY = "MOVE"; // Options: "MOVE", "TRASH", "OFF"
+const DUPLICATES_FOLDER_PATH = "/Duplicates"; // Created on first use and never offered as a destination
+const NEAR_DUPLICATE_THRESHOLD = 0.9; // Text similarity (0-1) for a likely duplicate; 0 turns the check off
+
+// --- Review Mode ---
+// When enabled, AI suggestions are written to the "Review" tab of the organizer spreadsheet
+// instead of being applied. Set a row's Status to APPROVED (or edit its "Approved" columns)
+// and the next run moves the file. Rows marked REJECTED are left alone.
+const REVIEW_MODE = false;
+const ORGANIZER_SPREADSHEET_NAME = "Gemini File Organizer"; // Created in your Drive root on first use
+
+// --- Routing Rules ---
+// When enabled, the rules in the "Rules" tab of the organizer spreadsheet are checked before the AI
+// is called. The first enabled rule whose conditions all match decides where the file goes, so
+// known document types are routed predictably and at no API cost.
+const ROUTING_RULES_ENABLED = false;
+
+// --- Activity Log & Digest ---
+// Every processed file is recorded in the "Activity" tab of the organizer spreadsheet: outcome,
+// old and new name, destination, error and duration. The daily digest emails a summary of the last
+// 24 hours, with links to the files, to NOTIFICATION_EMAIL.
+const ACTIVITY_LOG_ENABLED = true;
+const ACTIVITY_LOG_MAX_ROWS = 5000; // Oldest rows are deleted beyond this
+const DAILY_DIGEST_ENABLED = false; // Run SETUP_SCRIPT_AND_AUTHORIZE again after turning this on
+const DAILY_DIGEST_HOUR = 7;        // Hour of the day (0-23, script time zone) the digest is sent
+
+// --- Learning From Corrections ---
+// When you move a file the organizer filed into a different folder, the folder cache refresh
+// notices it. Similar corrections are shown to the AI as examples, and a folder that keeps being
+// corrected into is proposed as a disabled rule in the "Rules" tab for you to review.
+const LEARN_FROM_CORRECTIONS = true;
+const CORRECTION_LOOKBACK_DAYS = 30;  // Files filed within this many days are checked for corrections
+const MAX_CORRECTION_EXAMPLES = 5;    // Most similar corrections added to each prompt
+const CORRECTION_RULE_MIN_COUNT = 3;  // Corrections into one folder before a rule is proposed; 0 turns proposals off
+
+// --- Undo Journal ---
+// Every rename/move is journaled so it can be reverted with UNDO_LAST_RUN, UNDO_FILE or UNDO_SINCE.
+const UNDO_JOURNAL_MAX_ENTRIES = 5000; // Oldest entries are dropped once the journal grows past this
 
 /**
  * -----------------------------------------------------------------------------
@@ -75,54 +294,53 @@ const OPENAI_MODEL = "gpt-4.1-nano";                // OpenAI model to use
 
 function SETUP_SCRIPT_AND_AUTHORIZE() {
   Logger.log("--- Starting Full Script Setup ---");
-  MANUALLY_SET_API_KEY();
-  MANUALLY_SET_OPENAI_API_KEY();
+  MANUALLY_SET_PROVIDER_API_KEYS();
   createFileProcessingTrigger();
   createCacheTrigger();
   Logger.log("--- Starting initial folder scan. This may take several chained executions to complete... ---");
   startFolderScan();
+  if (WEB_APP_URL) {
+    SETUP_PUSH_NOTIFICATIONS();
+  }
+  if (DAILY_DIGEST_ENABLED) {
+    createDailyDigestTrigger();
+  }
+  if (WATCHDOG_ENABLED) {
+    createWatchdogTrigger();
+  }
   Logger.log("--- Script Setup Complete ---");
 }
 
 function MANUALLY_SET_API_KEY() {
-  if (GEMINI_API_KEY === "PASTE_YOUR_GEMINI_API_KEY_HERE" || !GEMINI_API_KEY) {
-    Logger.log("Gemini API Key not provided. Please update the GEMINI_API_KEY constant and run SETUP_SCRIPT_AND_AUTHORIZE again.");
-    return;
-  }
-  try {
-    PropertiesService.getUserProperties().setProperty('GEMINI_API_KEY', GEMINI_API_KEY);
-    Logger.log(`Success: Gemini API Key saved.`);
-  } catch (e) {
-    Logger.log(`Error saving Gemini API key: ${e.toString()}`);
-  }
+  _saveProviderApiKey('GEMINI');
+}
+
+function MANUALLY_SET_OPENAI_API_KEY() {
+  _saveProviderApiKey('OPENAI');
 }
 
 /**
- * Creates the time-based trigger for processing files every 10 minutes.
+ * Saves the API key of every provider whose key constant has been filled in.
  */
-function MANUALLY_SET_OPENAI_API_KEY() {
-  if (OPENAI_API_KEY === "PASTE_YOUR_OPENAI_API_KEY_HERE" || !OPENAI_API_KEY) {
-    Logger.log("OpenAI API Key not provided. To use OpenAI instead of Gemini, please update the OPENAI_API_KEY constant and run SETUP_SCRIPT_AND_AUTHORIZE again.");
-    return;
-  }
-  try {
-    PropertiesService.getUserProperties().setProperty('OPENAI_API_KEY', OPENAI_API_KEY);
-    Logger.log(`Success: OpenAI API Key saved.`);
-  } catch (e) {
-    Logger.log(`Error saving OpenAI API key: ${e.toString()}`);
-  }
+function MANUALLY_SET_PROVIDER_API_KEYS() {
+  Object.keys(AI_PROVIDERS).forEach(providerName => _saveProviderApiKey(providerName));
 }
 
+/**
+ * Creates the time-based trigger for processing files every 10 minutes.
+ */
+
 function createFileProcessingTrigger() {
   _createMinuteTrigger('scanFolderAndProcessFiles', 10);
 }
 
 /**
- * Creates the time-based trigger for caching the folder structure every 6 hours.
+ * Creates the time-based trigger that keeps the folder cache up to date.
  */
 function createCacheTrigger() {
-  const functionName = 'startFolderScan';
+  const functionName = 'refreshFolderCache';
   _deleteTrigger(functionName);
+  _deleteTrigger('startFolderScan'); // Older versions rescanned the whole Drive on this trigger
 
   const triggerBuilder = ScriptApp.newTrigger(functionName).timeBased();
   const userTimezone = Session.getScriptTimeZone();
@@ -140,6 +358,22 @@ function createCacheTrigger() {
   triggerBuilder.create();
 }
 
+/**
+ * Creates the trigger that runs the watchdog every WATCHDOG_INTERVAL_MINUTES.
+ */
+function createWatchdogTrigger() {
+  _createMinuteTrigger('runWatchdog', WATCHDOG_INTERVAL_MINUTES);
+}
+
+/**
+ * Creates the daily trigger that emails the activity digest at DAILY_DIGEST_HOUR.
+ */
+function createDailyDigestTrigger() {
+  _deleteTrigger('sendDailyDigest');
+  ScriptApp.newTrigger('sendDailyDigest').timeBased().everyDays(1).atHour(DAILY_DIGEST_HOUR).create();
+  Logger.log(`Success: Trigger for 'sendDailyDigest' created to run daily at ${DAILY_DIGEST_HOUR}:00 (${Session.getScriptTimeZone()}).`);
+}
+
 /**
  * -----------------------------------------------------------------------------
  * DEBUGGING & MANUAL RESET FUNCTIONS
@@ -154,9 +388,8 @@ function DEBUG_CHECK_SCAN_STATE() {
   const scanInProgress = properties.getProperty('scanState_inProgress');
   const scanStartTime = properties.getProperty('scanState_startTime');
   const tempTriggerId = properties.getProperty('scanState_tempTriggerId');
-  const folderStack = properties.getProperty('scanState_folderStack');
-  const foundPaths = properties.getProperty('scanState_foundPaths');
-  const folderCache = properties.getProperty('folderCache');
+  const scanState = _loadDataFile(FOLDER_SCAN_STATE_FILE, null);
+  const folderCache = _loadDataFile(FOLDER_CACHE_FILE, null);
   const cacheTimestamp = properties.getProperty('folderCacheTimestamp');
   
   Logger.log('=== SCAN STATE DEBUG INFO ===');
@@ -169,19 +402,21 @@ function DEBUG_CHECK_SCAN_STATE() {
   }
   
   Logger.log(`Continuation trigger ID: ${tempTriggerId || 'None'}`);
-  
-  if (folderStack) {
-    const stack = JSON.parse(folderStack);
-    Logger.log(`Folders remaining in stack: ${stack.length}`);
+  const heartbeat = properties.getProperty('scanState_heartbeat');
+  if (heartbeat) {
+    Logger.log(`Last scan heartbeat: ${Math.round((new Date().getTime() - parseInt(heartbeat)) / (1000 * 60))} minutes ago`);
   }
   
-  if (foundPaths) {
-    const paths = JSON.parse(foundPaths);
-    Logger.log(`Paths found so far: ${paths.length}`);
+  if (scanState) {
+    Logger.log(`Folders remaining in stack: ${scanState.folderStack.length}`);
+    Logger.log(`Folders found so far: ${scanState.foundFolders.length}`);
   }
   
-  Logger.log(`Cached folders: ${folderCache ? JSON.parse(folderCache).length : 'No cache'}`);
+  Logger.log(`Cached folders: ${folderCache ? folderCache.length : 'No cache'}`);
   Logger.log(`Cache timestamp: ${cacheTimestamp || 'No timestamp'}`);
+  Logger.log(`Incremental refresh: ${properties.getProperty('folderChangesPageToken') ? 'Enabled' : 'Not available until the next full scan completes'}`);
+  const rescanRequestedAt = properties.getProperty('folderRescanRequestedAt');
+  Logger.log(`Rescan requested: ${rescanRequestedAt ? new Date(parseInt(rescanRequestedAt)).toLocaleString() : 'No'}`);
   
   // Check for active triggers
   const activeTriggers = ScriptApp.getProjectTriggers();
@@ -194,49 +429,28 @@ function DEBUG_CHECK_SCAN_STATE() {
 }
 
 /**
- * Clean up duplicate continuation triggers while preserving scan progress
+ * Deletes duplicate triggers and leftover continuation triggers while preserving scan progress
  */
 function CLEANUP_DUPLICATE_TRIGGERS() {
-  Logger.log('Cleaning up duplicate continuation triggers...');
-  
-  const properties = PropertiesService.getScriptProperties();
-  const validTriggerId = properties.getProperty('scanState_tempTriggerId');
-  let cleanedCount = 0;
-  
-  ScriptApp.getProjectTriggers().forEach(trigger => {
-    if (trigger.getHandlerFunction() === 'continueFolderScan') {
-      // Keep the valid trigger, delete others
-      if (trigger.getUniqueId() !== validTriggerId) {
-        ScriptApp.deleteTrigger(trigger);
-        cleanedCount++;
-        Logger.log(`Deleted duplicate continuation trigger: ${trigger.getUniqueId()}`);
-      } else {
-        Logger.log(`Kept valid continuation trigger: ${trigger.getUniqueId()}`);
-      }
-    }
-  });
-  
-  Logger.log(`Cleanup complete. Removed ${cleanedCount} duplicate trigger(s).`);
+  Logger.log('Cleaning up duplicate triggers...');
+  const repairs = _removeDuplicateTriggers();
+  repairs.forEach(repair => Logger.log(repair));
+  Logger.log(`Cleanup complete. Removed ${repairs.length} duplicate trigger(s).`);
 }
 
 /**
  * Manual reset function - use this if scan state gets stuck
  */
 function MANUAL_RESET_SCAN_STATE() {
-  const properties = PropertiesService.getScriptProperties();
-  
   Logger.log('Manually resetting scan state...');
   
-  // Clean up all scan-related properties
-  properties.deleteProperty('scanState_inProgress');
-  properties.deleteProperty('scanState_startTime');
-  properties.deleteProperty('scanState_folderStack');
-  properties.deleteProperty('scanState_foundPaths');
-  properties.deleteProperty('scanState_tempTriggerId');
-  
   // Clean up any continuation triggers
   _deleteContinuationTrigger();
   
+  // Clean up all scan-related properties
+  _clearScanStateProperties();
+  _saveDataFile(FOLDER_SCAN_STATE_FILE, null);
+  
   // Also clean up any stray continuation triggers
   ScriptApp.getProjectTriggers().forEach(trigger => {
     if (trigger.getHandlerFunction() === 'continueFolderScan') {
@@ -252,23 +466,157 @@ function MANUAL_RESET_SCAN_STATE() {
  * -----------------------------------------------------------------------------
  * STATEFUL FOLDER CACHING (CHAINED EXECUTION)
  * -----------------------------------------------------------------------------
+ * The cache and the in-progress scan state are kept in data files rather than script
+ * properties, whose 9 KB per-value limit only fits a few hundred folders. Each cached folder is
+ * stored as {id, path, parentId, name}, so files are moved by folder ID and sibling folders with
+ * the same name are never confused.
+ *
+ * The full scan records a Drive Changes API page token. Later refreshes only read the changes
+ * since that token and rebuild paths from the cached parent IDs, without walking the Drive.
+ */
+
+const FOLDER_CACHE_FILE = 'folder-cache.json';
+const FOLDER_SCAN_STATE_FILE = 'folder-scan-state.json';
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Brings the folder cache up to date. Runs on the FOLDER_CACHE_REFRESH_HOURS trigger. Once a full
+ * scan has recorded a change token, only folder creates, renames, moves and deletes since then
+ * are applied; otherwise a full scan is started. After an incremental refresh, files the organizer
+ * filed are checked for manual corrections (see LEARN_FROM_CORRECTIONS).
  */
+function refreshFolderCache() {
+  const properties = PropertiesService.getScriptProperties();
+  if (properties.getProperty('scanState_inProgress') === 'true') {
+    Logger.log("A full folder scan is in progress. Skipping the incremental refresh.");
+    return;
+  }
+  if (!_canRefreshFolderCacheFromChanges()) {
+    Logger.log("No change token or folder cache yet. Starting a full folder scan.");
+    _tryStartFolderScan();
+    return;
+  }
+  try {
+    _refreshFolderCacheFromChanges();
+  } catch (e) {
+    Logger.log(`Incremental folder refresh failed: ${e.toString()}. Starting a full folder scan.`);
+    _tryStartFolderScan();
+    return;
+  }
+  if (LEARN_FROM_CORRECTIONS) {
+    _detectManualCorrections();
+  }
+}
 
 /**
  * Initiates a new folder structure scan. Deletes any previous state.
- * This function is run by a time-based trigger every 6 hours.
+ * Run by SETUP_SCRIPT_AND_AUTHORIZE, and by refreshFolderCache when no change token exists yet.
  */
 function startFolderScan() {
+  _resetFolderScanState();
+  Logger.log("Folder scan started. Kicking off first continuation.");
+  continueFolderScan();
+}
+
+/**
+ * Starts a full folder scan for refreshFolderCache. A scan that cannot start, e.g. because the
+ * Drive API fails to return a change token, is logged instead of failing the trigger; the next
+ * refresh tries again.
+ */
+function _tryStartFolderScan() {
+  try {
+    startFolderScan();
+  } catch (e) {
+    Logger.log(`Could not start a full folder scan: ${e.toString()}. The next folder cache refresh will try again.`);
+  }
+}
+
+/**
+ * Clears any previous scan state and queues the root folder for a fresh scan.
+ */
+function _resetFolderScanState() {
   _deleteContinuationTrigger(); // Clean up any old triggers that may have failed.
+
+  // Taken before the walk starts, so changes made while the scan runs are picked up afterwards
+  let startPageToken = null;
+  if (typeof Drive !== 'undefined') {
+    startPageToken = Drive.Changes.getStartPageToken({ supportsAllDrives: true }).startPageToken;
+  } else {
+    Logger.log("The Drive API advanced service is not enabled, so the folder cache can only be refreshed by full scans.");
+  }
+
+  const rootFolder = DriveApp.getRootFolder();
+  const folderStack = [{ id: rootFolder.getId(), path: '/', parentId: null, name: rootFolder.getName(), driveId: null }];
+  if (INCLUDE_SHARED_DRIVES) {
+    _listSharedDrives().forEach(drive => {
+      folderStack.push({ id: drive.id, path: '//' + drive.name, parentId: null, name: drive.name, driveId: drive.id });
+    });
+  }
+
+  _saveDataFile(FOLDER_SCAN_STATE_FILE, {
+    folderStack: folderStack,
+    foundFolders: [],
+    startPageToken: startPageToken
+  });
   const properties = PropertiesService.getScriptProperties();
+  _clearScanStateProperties();
   properties.setProperties({
-    'scanState_folderStack': JSON.stringify([DriveApp.getRootFolder().getId()]),
-    'scanState_foundPaths': JSON.stringify([]),
     'scanState_inProgress': 'true',
-    'scanState_startTime': new Date().getTime().toString()
-  }, true);
-  Logger.log("Folder scan started. Kicking off first continuation.");
-  continueFolderScan();
+    'scanState_startTime': new Date().getTime().toString(),
+    'scanState_heartbeat': new Date().getTime().toString()
+  });
+  properties.deleteProperty('folderRescanRequestedAt');
+  // Left over from versions that kept the cache in script properties
+  ['folderCache', 'scanState_folderStack', 'scanState_foundPaths'].forEach(key => properties.deleteProperty(key));
+}
+
+/**
+ * Asks for a folder rescan without starting one. Requests are collected and at most one rescan
+ * per RESCAN_DEBOUNCE_MINUTES is started at the end of a processing run, so a batch full of
+ * unknown paths cannot set off a drive-wide scan for every file.
+ * @param {string} reason - Logged to explain the request
+ */
+function _requestFolderRescan(reason) {
+  const properties = PropertiesService.getScriptProperties();
+  if (!properties.getProperty('folderRescanRequestedAt')) {
+    properties.setProperty('folderRescanRequestedAt', new Date().getTime().toString());
+  }
+  Logger.log(`Folder rescan requested: ${reason}`);
+}
+
+/**
+ * Handles a requested rescan. With a change token the cache is refreshed from the Changes API
+ * straight away; otherwise a full scan is started if the folder cache is older than
+ * RESCAN_DEBOUNCE_MINUTES. The full scan runs in a continuation trigger so the current run is not
+ * held up.
+ */
+function _startRequestedFolderRescan() {
+  const properties = PropertiesService.getScriptProperties();
+  if (!properties.getProperty('folderRescanRequestedAt') || properties.getProperty('scanState_inProgress') === 'true') {
+    return;
+  }
+
+  // Reading the changes since the last refresh is cheap, so it needs no debouncing
+  if (_canRefreshFolderCacheFromChanges()) {
+    properties.deleteProperty('folderRescanRequestedAt');
+    try {
+      _refreshFolderCacheFromChanges();
+      return;
+    } catch (e) {
+      Logger.log(`Incremental folder refresh failed: ${e.toString()}. Falling back to a full scan.`);
+    }
+  }
+
+  const cacheTimestamp = properties.getProperty('folderCacheTimestamp');
+  const cacheAgeMinutes = cacheTimestamp ? (new Date().getTime() - new Date(cacheTimestamp).getTime()) / (60 * 1000) : Infinity;
+  if (cacheAgeMinutes < RESCAN_DEBOUNCE_MINUTES) {
+    Logger.log(`Requested folder rescan deferred: the folder cache is only ${Math.round(cacheAgeMinutes)} minute(s) old.`);
+    return;
+  }
+
+  _resetFolderScanState();
+  _createContinuationTrigger();
+  Logger.log("Requested folder rescan scheduled.");
 }
 
 /**
@@ -278,69 +626,300 @@ function startFolderScan() {
 function continueFolderScan() {
   const startTime = new Date();
   const properties = PropertiesService.getScriptProperties();
+  // The watchdog judges a scan stuck by its heartbeat, not by how long ago it started
+  properties.setProperty('scanState_heartbeat', startTime.getTime().toString());
   
   try {
-    let folderStack = JSON.parse(properties.getProperty('scanState_folderStack'));
-    let foundPaths = JSON.parse(properties.getProperty('scanState_foundPaths'));
+    const scanState = _loadDataFile(FOLDER_SCAN_STATE_FILE, null);
+    const folderStack = scanState.folderStack;
+    const foundFolders = scanState.foundFolders;
+    const inboxFolderIds = _getInboxFolderIds();
     let foldersProcessed = 0;
 
     while (folderStack.length > 0) {
-      const folderId = folderStack.pop();
-      const parentFolder = DriveApp.getFolderById(folderId);
-      const currentPath = _getFolderPath(parentFolder);
+      // Paths are built from the parent's path on the way down instead of walking back up
+      const entry = folderStack.pop();
+      const currentPath = entry.path;
       
       // Check if this folder is blacklisted
-      if (_isFolderBlacklisted(parentFolder, currentPath)) {
+      if (_isFolderBlacklisted(entry.name, currentPath)) {
         // Skip this folder and all its children
         Logger.log(`Skipping blacklisted folder: ${currentPath}`);
         foldersProcessed++;
         continue;
       }
+
+      // The quarantine and dead-letter folders are never offered to the AI as destinations
+      if (_isReservedFolderPath(currentPath)) {
+        foldersProcessed++;
+        continue;
+      }
       
-      if (currentPath && currentPath !== "/") {
-          foundPaths.push(currentPath);
+      if (currentPath !== "/") {
+          foundFolders.push({
+            id: entry.id,
+            path: currentPath,
+            parentId: entry.parentId,
+            name: entry.name,
+            driveId: entry.driveId,
+            description: entry.description || '',
+            samples: _listSampleFilenames(entry.id)
+          });
       }
 
-      const childFolders = parentFolder.getFolders();
-      while (childFolders.hasNext()) {
-        const child = childFolders.next();
-        if (child.getName() !== SOURCE_FOLDER_NAME && !child.getName().startsWith('.')) {
-          folderStack.push(child.getId());
+      _listChildFolders(entry.id, entry.driveId).forEach(child => {
+        if (child.name !== SOURCE_FOLDER_NAME && !child.name.startsWith('.') && !inboxFolderIds.has(child.id)) {
+          folderStack.push({
+            id: child.id,
+            path: (currentPath === '/' ? '' : currentPath) + '/' + child.name,
+            parentId: entry.id,
+            name: child.name,
+            driveId: entry.driveId,
+            description: child.description
+          });
         }
-      }
+      });
 
       foldersProcessed++;
       
-      // Check time limit only after processing a batch of folders (more efficient)
-      if (foldersProcessed >= FOLDER_BATCH_SIZE) {
-        const elapsedTime = (new Date() - startTime) / 1000;
-        if (elapsedTime > MAX_RUNTIME_SECONDS) {
-          properties.setProperty('scanState_folderStack', JSON.stringify(folderStack));
-          properties.setProperty('scanState_foundPaths', JSON.stringify(foundPaths));
-          _createContinuationTrigger();
-          Logger.log(`Scan paused due to time limit. Processed ${foldersProcessed} folders this run, ${folderStack.length} remain.`);
-          return;
-        }
-        foldersProcessed = 0; // Reset batch counter
+      // Checked after every folder: each one costs two Drive listings, so a batch could outlast the
+      // execution limit before its progress is saved
+      const elapsedTime = (new Date() - startTime) / 1000;
+      if (elapsedTime > MAX_RUNTIME_SECONDS) {
+        _saveDataFile(FOLDER_SCAN_STATE_FILE, scanState);
+        _createContinuationTrigger();
+        // Only a continuation that got far enough to save its progress counts as having got going again
+        properties.deleteProperty('scanState_resumeAttempts');
+        Logger.log(`Scan paused due to time limit. Processed ${foldersProcessed} folders this run, ${folderStack.length} remain.`);
+        return;
       }
     }
 
     // If the loop completes, the scan is finished.
-    properties.setProperty('folderCache', JSON.stringify(foundPaths));
+    _saveDataFile(FOLDER_CACHE_FILE, foundFolders);
+    _saveDataFile(FOLDER_SCAN_STATE_FILE, null);
+    if (scanState.startPageToken) {
+      properties.setProperty('folderChangesPageToken', scanState.startPageToken);
+    } else {
+      properties.deleteProperty('folderChangesPageToken');
+    }
     properties.setProperty('folderCacheTimestamp', new Date().toUTCString());
-    properties.deleteProperty('scanState_inProgress'); // Mark scan as complete
-    properties.deleteProperty('scanState_startTime');
-    properties.deleteProperty('scanState_tempTriggerId');
     _deleteContinuationTrigger();
-    Logger.log(`Folder scan complete. Successfully cached ${foundPaths.length} folders.`);
+    _clearScanStateProperties(); // Mark scan as complete
+    Logger.log(`Folder scan complete. Successfully cached ${foundFolders.length} folders.`);
 
   } catch (e) {
     Logger.log(`Error during continueFolderScan: ${e.toString()}.`);
-    properties.deleteProperty('scanState_inProgress');
-    properties.deleteProperty('scanState_startTime');
-    properties.deleteProperty('scanState_tempTriggerId');
     _deleteContinuationTrigger();
+    _clearScanStateProperties();
+  }
+}
+
+/**
+ * Lists the subfolders of a folder. My Drive is read with DriveApp; Shared Drives need the
+ * advanced Drive service.
+ * @param {string} folderId
+ * @param {string|null} driveId - ID of the Shared Drive the folder is in, or null for My Drive
+ * @returns {Array<{id: string, name: string, description: string}>}
+ */
+function _listChildFolders(folderId, driveId) {
+  const children = [];
+  if (!driveId) {
+    const childFolders = DriveApp.getFolderById(folderId).getFolders();
+    while (childFolders.hasNext()) {
+      const child = childFolders.next();
+      children.push({ id: child.getId(), name: child.getName(), description: child.getDescription() || '' });
+    }
+    return children;
+  }
+
+  let pageToken = null;
+  do {
+    const page = Drive.Files.list({
+      q: `'${folderId}' in parents and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`,
+      corpora: 'drive',
+      driveId: driveId,
+      includeItemsFromAllDrives: true,
+      supportsAllDrives: true,
+      pageSize: 1000,
+      pageToken: pageToken,
+      fields: 'nextPageToken,files(id,name,description)'
+    });
+    (page.files || []).forEach(file => children.push({ id: file.id, name: file.name, description: file.description || '' }));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return children;
+}
+
+/**
+ * Lists the Shared Drives the user can access.
+ * @returns {Array<{id: string, name: string}>}
+ */
+function _listSharedDrives() {
+  if (typeof Drive === 'undefined') {
+    Logger.log("INCLUDE_SHARED_DRIVES needs the Drive API advanced service (Services → Drive API). Scanning My Drive only.");
+    return [];
+  }
+  const drives = [];
+  let pageToken = null;
+  do {
+    const page = Drive.Drives.list({ pageSize: 100, pageToken: pageToken, fields: 'nextPageToken,drives(id,name)' });
+    (page.drives || []).forEach(drive => drives.push({ id: drive.id, name: drive.name }));
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return drives;
+}
+
+/**
+ * @returns {boolean} - True if the cache can be refreshed from the Changes API instead of a full scan
+ */
+function _canRefreshFolderCacheFromChanges() {
+  return typeof Drive !== 'undefined' &&
+         !!PropertiesService.getScriptProperties().getProperty('folderChangesPageToken') &&
+         _getDataFile(FOLDER_CACHE_FILE) !== null;
+}
+
+/**
+ * Applies the folder changes reported by the Drive Changes API since the saved page token, then
+ * rebuilds every path from the cached parent IDs. Folders that end up outside My Drive, inside an
+ * excluded folder or in the trash are dropped.
+ */
+function _refreshFolderCacheFromChanges() {
+  const properties = PropertiesService.getScriptProperties();
+  const foldersById = new Map();
+  _loadDataFile(FOLDER_CACHE_FILE, []).forEach(folder => foldersById.set(folder.id, folder));
+
+  let pageToken = properties.getProperty('folderChangesPageToken');
+  let newStartPageToken = null;
+  let changeCount = 0;
+  while (pageToken) {
+    const page = Drive.Changes.list(pageToken, {
+      pageSize: 1000,
+      includeRemoved: true,
+      includeItemsFromAllDrives: INCLUDE_SHARED_DRIVES,
+      supportsAllDrives: true,
+      spaces: 'drive',
+      fields: 'nextPageToken,newStartPageToken,changes(changeType,fileId,driveId,removed,drive(name),file(name,description,mimeType,parents,trashed,driveId))'
+    });
+    (page.changes || []).forEach(change => {
+      if (change.changeType === 'drive') {
+        // A Shared Drive was renamed or removed; its root folder has the drive's ID
+        if (change.removed) {
+          if (foldersById.delete(change.driveId)) changeCount++;
+        } else if (INCLUDE_SHARED_DRIVES && change.drive) {
+          foldersById.set(change.driveId, Object.assign({}, foldersById.get(change.driveId), { id: change.driveId, name: change.drive.name, parentId: null, driveId: change.driveId }));
+          changeCount++;
+        }
+        return;
+      }
+
+      const file = change.file;
+      if (change.removed || (file && file.trashed)) {
+        if (foldersById.delete(change.fileId)) changeCount++;
+      } else if (file && file.mimeType === FOLDER_MIME_TYPE) {
+        const existing = foldersById.get(change.fileId);
+        foldersById.set(change.fileId, {
+          id: change.fileId,
+          name: file.name,
+          parentId: file.parents && file.parents.length > 0 ? file.parents[0] : null,
+          driveId: file.driveId || null,
+          description: file.description || '',
+          samples: existing && existing.samples ? existing.samples : []
+        });
+        changeCount++;
+      } else if (file && file.parents && foldersById.has(file.parents[0]) && FOLDER_SAMPLE_FILENAMES > 0) {
+        // A file arrived in (or changed inside) a cached folder; it becomes that folder's newest sample
+        const folder = foldersById.get(file.parents[0]);
+        folder.samples = [file.name].concat((folder.samples || []).filter(name => name !== file.name)).slice(0, FOLDER_SAMPLE_FILENAMES);
+      }
+    });
+    newStartPageToken = page.newStartPageToken || null;
+    pageToken = page.nextPageToken || null;
+  }
+
+  const folders = _buildFolderPaths(foldersById, DriveApp.getRootFolder().getId());
+  _saveDataFile(FOLDER_CACHE_FILE, folders);
+  if (newStartPageToken) {
+    properties.setProperty('folderChangesPageToken', newStartPageToken);
   }
+  properties.setProperty('folderCacheTimestamp', new Date().toUTCString());
+  Logger.log(`Folder cache refreshed: ${changeCount} folder change(s) applied, ${folders.length} folders cached.`);
+}
+
+/**
+ * Computes each folder's path by following parent IDs up to the My Drive root ("/") or a Shared
+ * Drive root ("//Drive Name"), using the same exclusions as the full scan.
+ * @param {Map<string, {id: string, name: string, parentId: string, driveId: string}>} foldersById
+ * @param {string} rootId - ID of the My Drive root folder
+ * @returns {Array<{id: string, path: string, parentId: string, name: string, driveId: string,
+ *     description: string, samples: string[]}>} - Folders whose path reaches a root without passing
+ *     an excluded folder
+ */
+function _buildFolderPaths(foldersById, rootId) {
+  const inboxFolderIds = _getInboxFolderIds();
+  const paths = new Map([[rootId, '/']]);
+  const pathOf = folderId => {
+    if (paths.has(folderId)) return paths.get(folderId);
+    paths.set(folderId, null); // Guards against parent cycles while this folder is resolved
+    const folder = foldersById.get(folderId);
+    let path = null;
+    if (folder && folder.driveId && folder.id === folder.driveId) {
+      path = '//' + folder.name;
+      if (_isFolderBlacklisted(folder.name, path)) path = null;
+    } else if (folder) {
+      const parentPath = pathOf(folder.parentId);
+      if (parentPath !== null) {
+        path = (parentPath === '/' ? '' : parentPath) + '/' + folder.name;
+        if (_isFolderExcludedFromCache(folder.id, folder.name, path, inboxFolderIds)) path = null;
+      }
+    }
+    paths.set(folderId, path);
+    return path;
+  };
+
+  const folders = [];
+  foldersById.forEach(folder => {
+    const path = pathOf(folder.id);
+    if (path !== null) {
+      folders.push({
+        id: folder.id,
+        path: path,
+        parentId: folder.parentId,
+        name: folder.name,
+        driveId: folder.driveId || null,
+        description: folder.description || '',
+        samples: folder.samples || []
+      });
+    }
+  });
+  return folders;
+}
+
+/**
+ * Checks the exclusions applied by the full scan: inbox folders, hidden folders, the quarantine
+ * and dead-letter folders and BLACKLISTED_PATHS.
+ * @param {string} id - Folder ID
+ * @param {string} name - Folder name
+ * @param {string} path - Full path of the folder
+ * @param {Set<string>} inboxFolderIds - From _getInboxFolderIds
+ * @returns {boolean}
+ */
+function _isFolderExcludedFromCache(id, name, path, inboxFolderIds) {
+  return name === SOURCE_FOLDER_NAME || inboxFolderIds.has(id) || name.startsWith('.') ||
+         _isReservedFolderPath(path) || _isFolderBlacklisted(name, path);
+}
+
+/**
+ * Loads the folder cache keyed by path. If sibling folders share a name, the first one found by
+ * the scan is used for that path.
+ * @returns {Map<string, {id: string, path: string, parentId: string, name: string, driveId: string}>}
+ */
+function _loadFolderCache() {
+  const folders = new Map();
+  _loadDataFile(FOLDER_CACHE_FILE, []).forEach(folder => {
+    if (!folders.has(folder.path)) folders.set(folder.path, folder);
+  });
+  return folders;
 }
 
 /**
@@ -350,42 +929,20 @@ function continueFolderScan() {
  */
 
 function scanFolderAndProcessFiles() {
+  const runStartTime = new Date().getTime();
   const properties = PropertiesService.getScriptProperties();
   const scanInProgress = properties.getProperty('scanState_inProgress');
   
   if (scanInProgress === 'true') {
-    // Check if scan might be stuck (no continuation trigger activity for 30+ minutes)
-    const scanStartTime = properties.getProperty('scanState_startTime');
-    const currentTime = new Date().getTime();
-    const thirtyMinutes = 30 * 60 * 1000;
-    
-    if (scanStartTime && (currentTime - parseInt(scanStartTime)) > thirtyMinutes) {
-      // Check if there are any continuation triggers still active
-      const tempTriggerId = properties.getProperty('scanState_tempTriggerId');
-      let activeTriggerFound = false;
-      
-      if (tempTriggerId) {
-        ScriptApp.getProjectTriggers().forEach(trigger => {
-          if (trigger.getUniqueId() === tempTriggerId) {
-            activeTriggerFound = true;
-          }
-        });
-      }
-      
-      if (!activeTriggerFound) {
-        Logger.log("Warning: Scan appears stuck (30+ minutes, no active continuation trigger). Resetting scan state.");
-        properties.deleteProperty('scanState_inProgress');
-        properties.deleteProperty('scanState_startTime');
-        properties.deleteProperty('scanState_tempTriggerId');
-        // Continue with file processing
-      } else {
-        Logger.log("Folder scan is in progress with active continuation trigger. Skipping file processing.");
-        return;
-      }
-    } else {
-      Logger.log("Folder scan is currently in progress. Skipping file processing run to use complete data later.");
-      return;
+    // A scan that has stopped making progress is resumed here too, so a stuck scan does not block
+    // processing until the next watchdog run
+    if (_isFolderScanStalled()) {
+      const report = { repairs: [], problems: [] };
+      _checkFolderScan(report);
+      _reportWatchdogFindings(report);
     }
+    Logger.log("Folder scan is currently in progress. Skipping file processing run to use complete data later.");
+    return;
   }
 
   const lock = LockService.getScriptLock();
@@ -399,49 +956,164 @@ function scanFolderAndProcessFiles() {
     
     Logger.log("Lock acquired successfully. Starting file processing.");
 
-    const sourceFolder = _getSourceFolder();
-    if (!sourceFolder) {
+    const inboxes = _getInboxes();
+    if (inboxes.length === 0) {
       Logger.log("Source folder not found. Exiting.");
       return;
     }
 
-    const files = sourceFolder.getFiles();
-    if (!files.hasNext()) {
+    // In review mode, apply approved rows first and skip files that are awaiting review or were rejected
+    let reviewedIds = null;
+    if (REVIEW_MODE) {
+      _applyReviewedSuggestions();
+      reviewedIds = _getReviewedFileIds();
+    }
+
+    if (_isAiQuotaPaused()) {
+      Logger.log("The AI provider's daily quota was used up. Skipping file processing until the pause ends.");
+      return;
+    }
+
+    const usageLedger = _loadUsageLedger();
+    if (_isMonthlyBudgetReached(usageLedger)) {
+      Logger.log(`This month's AI budget of $${MONTHLY_BUDGET_USD} is used up. Skipping file processing until next month.`);
+      _notifyMonthlyBudgetReached(usageLedger);
+      return;
+    }
+
+    // Rotate the starting inbox every run so the same inbox is not always served first
+    const cursor = parseInt(properties.getProperty('inboxCursor') || '0') % inboxes.length;
+    properties.setProperty('inboxCursor', ((cursor + 1) % inboxes.length).toString());
+
+    let queues = inboxes.slice(cursor).concat(inboxes.slice(0, cursor))
+      .map(inbox => ({ inbox: inbox, files: inbox.folder.getFiles(), processed: 0 }))
+      .filter(queue => queue.files.hasNext());
+    if (queues.length === 0) {
       Logger.log("No files found in source folder. Exiting.");
       return;
     }
 
-    const folderListString = PropertiesService.getScriptProperties().getProperty('folderCache');
-    if (!folderListString) {
+    const folders = _loadFolderCache();
+    if (folders.size === 0) {
       Logger.log("Folder cache is empty. Please run 'SETUP_SCRIPT_AND_AUTHORIZE' or wait for the scan to complete.");
       return;
     }
     
+    const runId = _newRunId();
+    const routingRules = ROUTING_RULES_ENABLED ? _loadRoutingRules() : [];
+    const fileStates = _loadDataFile(FILE_STATE_FILE, {});
+    const contentIndex = DUPLICATE_POLICY !== 'OFF' ? _loadDataFile(CONTENT_INDEX_FILE, []) : null;
+    const corrections = LEARN_FROM_CORRECTIONS ? _loadDataFile(CORRECTIONS_FILE, []) : [];
+    const activityLog = ACTIVITY_LOG_ENABLED ? [] : null;
+    const undoJournal = [];
+    queues.forEach(queue => {
+      const scopedFolders = _scopeFolderCache(folders, queue.inbox.scope);
+      queue.runContext = {
+        runId: runId,
+        inbox: queue.inbox,
+        folders: scopedFolders,
+        routingRules: routingRules,
+        fileStates: fileStates,
+        contentIndex: contentIndex,
+        corrections: corrections,
+        usageLedger: usageLedger,
+        activityLog: activityLog,
+        undoJournal: undoJournal
+      };
+    });
+
     // Track processing time and errors
     const startTime = new Date().getTime();
     let processedCount = 0;
     let errorCount = 0;
+    let quotaExhausted = false;
+    let budgetReached = false;
+    let monthlyBudgetReached = false;
+    let batchSizeReached = false;
+    const processingTimes = _loadProcessingTimes();
     
-    while (files.hasNext() && processedCount < BATCH_SIZE) {
-      try {
-        const file = files.next();
-        _organizeFile(file, folderListString);
-        processedCount++;
-        
-        // Force small pause between files to avoid rate limits
-        if (files.hasNext() && processedCount < BATCH_SIZE) {
-          Utilities.sleep(100);
+    // Take one file from each inbox in turn until every inbox is empty or has used its batch size,
+    // or the next file is expected to run past the runtime budget
+    while (queues.length > 0 && !quotaExhausted && !budgetReached && !monthlyBudgetReached) {
+      for (const queue of queues) {
+        try {
+          const file = queue.files.next();
+          if (_isHeldForReview(file.getId(), reviewedIds)) {
+            continue;
+          }
+          // Files that failed recently wait out their backoff without using up the batch
+          if (!_isFileEligible(file.getId(), fileStates)) {
+            continue;
+          }
+          const timeBucket = _getProcessingTimeBucket(file);
+          const projectedMs = _projectProcessingTimeMs(processingTimes, timeBucket);
+          const elapsedMs = new Date().getTime() - runStartTime;
+          if (processedCount + errorCount > 0 && elapsedMs + projectedMs > PROCESSING_RUNTIME_BUDGET_SECONDS * 1000) {
+            Logger.log(`Runtime budget reached: '${file.getName()}' is expected to take ${(projectedMs / 1000).toFixed(1)} seconds after ${(elapsedMs / 1000).toFixed(1)} seconds.`);
+            budgetReached = true;
+            break;
+          }
+          const fileStartTime = new Date().getTime();
+          const organized = _organizeFile(file, queue.runContext);
+          _recordProcessingTime(processingTimes, timeBucket, new Date().getTime() - fileStartTime);
+          queue.processed++;
+          if (organized) {
+            processedCount++;
+          } else {
+            errorCount++;
+          }
+          if (_isMonthlyBudgetReached(usageLedger)) {
+            Logger.log(`This month's AI budget of $${MONTHLY_BUDGET_USD} is used up. Stopping this run early.`);
+            monthlyBudgetReached = true;
+            break;
+          }
+          
+        } catch (fileError) {
+          if (fileError.quotaExhausted) {
+            Logger.log(`${fileError.message} Stopping this run early.`);
+            quotaExhausted = true;
+            break;
+          }
+          errorCount++;
+          Logger.log(`Error in file processing loop (${queue.inbox.name}): ${fileError}`);
+          // Continue to next file
         }
-      } catch (fileError) {
-        errorCount++;
-        Logger.log(`Error in file processing loop: ${fileError}`);
-        // Continue to next file
       }
+      queues = queues.filter(queue => {
+        if (!queue.files.hasNext()) return false;
+        if (queue.inbox.batchSize && queue.processed >= queue.inbox.batchSize) {
+          batchSizeReached = true;
+          return false;
+        }
+        return true;
+      });
     }
     
+    _saveFileStates(fileStates);
+    _saveUndoJournalEntries(undoJournal);
+    if (contentIndex) {
+      _saveContentIndex(contentIndex);
+    }
+    _saveProcessingTimes(processingTimes);
+    _saveUsageLedger(usageLedger);
+    _logRunUsage(usageLedger, runId);
+    if (activityLog) {
+      _appendActivityLog(activityLog);
+    }
+    if (monthlyBudgetReached) {
+      _notifyMonthlyBudgetReached(usageLedger);
+    }
+    // Whatever ended the run, files still waiting are picked up in a minute. A used-up quota or
+    // monthly budget would only stop the next run too.
+    if (!quotaExhausted && !monthlyBudgetReached && (budgetReached || (batchSizeReached && _findInboxWithFilesToProcess()))) {
+      _scheduleFileProcessingContinuation('Files remain in the inbox. Continuing in a minute.');
+    }
+
     const elapsedTime = (new Date().getTime() - startTime) / 1000;
     Logger.log(`Processing complete for this batch. ${processedCount} file(s) were organized in ${elapsedTime.toFixed(2)} seconds. Errors: ${errorCount}`);
 
+    _startRequestedFolderRescan();
+
   } catch (e) {
     Logger.log(`Critical error during scan and process run: ${e.toString()}`);
     if (e.stack) {
@@ -461,212 +1133,4197 @@ function scanFolderAndProcessFiles() {
 
 /**
  * -----------------------------------------------------------------------------
- * HELPER & CORE LOGIC FUNCTIONS
+ * INBOXES
  * -----------------------------------------------------------------------------
  */
 
 /**
- * Organizes a file using Gemini AI to suggest a better filename and destination folder.
- * Supports two methods based on file size:
- * 1. Inline base64 content for files under INLINE_FILE_SIZE_LIMIT_MB (faster)
- * 2. Gemini Files API for larger files up to MAX_FILE_SIZE_LIMIT_MB
- * 
- * @param {File} file - The Google Drive file to organize
- * @param {string} folderListString - JSON string of available folders
+ * Returns the configured inboxes with defaults filled in. Without INBOXES, the folder named
+ * SOURCE_FOLDER_NAME is the only inbox. Inboxes whose folder cannot be opened are skipped.
+ * @returns {Array<{id: string, name: string, folder: Folder, scope: string[], batchSize: number,
+ *     renamePolicy: string, model: string, promptAdditions: string}>}
  */
-function _organizeFile(file, folderListString) {
-  const fileId = file.getId();
-  try {
-    // Check file size against maximum limit
-    const fileSize = file.getSize();
-    const fileSizeMB = Math.round(fileSize/1024/1024 * 10) / 10; // Round to 1 decimal place
-    
-    if (fileSize > MAX_FILE_SIZE_MB * 1024 * 1024) {
-      Logger.log(`File ${file.getName()} is too large (${fileSizeMB}MB). Maximum size is ${MAX_FILE_SIZE_MB}MB. Skipping.`);
-      return;
-    }
-    
-    // Use stored API key (not the constant, in case it was changed after setup)
-    let apiKey;
-    if (AI_PLATFORM === "GEMINI") {
-      apiKey = PropertiesService.getUserProperties().getProperty('GEMINI_API_KEY');
-    } else if (AI_PLATFORM === "OPENAI") {
-      apiKey = PropertiesService.getUserProperties().getProperty('OPENAI_API_KEY');
-    } else {
-      throw new Error(`Unsupported AI_PLATFORM: ${AI_PLATFORM}`);
-    }
-    if (!apiKey) throw new Error("API key not found. Please run SETUP_SCRIPT_AND_AUTHORIZE first.");
-
-    // Rate limiting
+function _getInboxes() {
+  if (INBOXES.length === 0) {
+    const sourceFolder = _getSourceFolder();
+    return sourceFolder ? [_normalizeInbox({ id: sourceFolder.getId(), name: SOURCE_FOLDER_NAME }, sourceFolder)] : [];
+  }
+
+  const inboxes = [];
+  INBOXES.forEach(config => {
+    try {
+      const folder = DriveApp.getFolderById(config.id);
+      if (folder.isTrashed()) {
+        Logger.log(`Inbox '${config.name || config.id}' is in the trash. Skipping it.`);
+        return;
+      }
+      inboxes.push(_normalizeInbox(config, folder));
+    } catch (e) {
+      Logger.log(`Inbox '${config.name || config.id}' could not be opened: ${e.toString()}. Skipping it.`);
+    }
+  });
+  return inboxes;
+}
+
+/**
+ * Fills in the defaults of an inbox configuration.
+ * @param {Object} config - An entry of INBOXES
+ * @param {Folder} folder - The inbox folder
+ * @returns {Object} - See _getInboxes
+ */
+function _normalizeInbox(config, folder) {
+  return {
+    id: config.id,
+    name: config.name || folder.getName(),
+    folder: folder,
+    scope: config.scope || [],
+    batchSize: config.batchSize || BATCH_SIZE,
+    renamePolicy: (config.renamePolicy || 'RENAME').toUpperCase(),
+    model: config.model || '',
+    promptAdditions: config.promptAdditions || ''
+  };
+}
+
+/**
+ * Returns the IDs of all configured inbox folders, which the folder scan leaves out.
+ * @returns {Set<string>}
+ */
+function _getInboxFolderIds() {
+  return new Set(INBOXES.map(inbox => inbox.id));
+}
+
+/**
+ * Limits the folder cache to the destinations an inbox may use.
+ * @param {Map<string, Object>} folders - The folder cache keyed by path
+ * @param {string[]} scope - Scope patterns of the inbox; empty allows every folder
+ * @returns {Map<string, Object>}
+ */
+function _scopeFolderCache(folders, scope) {
+  if (!scope || scope.length === 0) return folders;
+  const scopedFolders = new Map();
+  folders.forEach((folder, path) => {
+    if (_isPathInScope(path, scope)) scopedFolders.set(path, folder);
+  });
+  return scopedFolders;
+}
+
+/**
+ * Checks a path against scope patterns: "/A/**" matches /A and everything below it, "/A/*" the
+ * direct subfolders of /A, and anything else only that exact path.
+ * @param {string} path
+ * @param {string[]} scope - Scope patterns; empty allows every path
+ * @returns {boolean}
+ */
+function _isPathInScope(path, scope) {
+  if (!scope || scope.length === 0) return true;
+  return scope.some(pattern => {
+    if (pattern.endsWith('/**')) {
+      const base = pattern.slice(0, -3);
+      return path === base || path.startsWith(base + '/');
+    }
+    if (pattern.endsWith('/*')) {
+      const base = pattern.slice(0, -2);
+      return path.startsWith(base + '/') && path.indexOf('/', base.length + 1) === -1;
+    }
+    return path === pattern;
+  });
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * RUNTIME BUDGET
+ * -----------------------------------------------------------------------------
+ * How long a file takes is tracked per MIME type and size class as a rolling average, so a run can
+ * tell whether the next file still fits in PROCESSING_RUNTIME_BUDGET_SECONDS. When a run stops with
+ * files left over, a one-off trigger continues a minute later instead of waiting for the next
+ * scheduled run. Push notifications queue their runs through the same trigger.
+ */
+
+const PROCESSING_TIMES_PROPERTY = 'processingTimes';
+const PROCESSING_TIME_WINDOW = 20; // Files averaged per bucket; older durations fade out
+const DEFAULT_PROCESSING_SECONDS = 30; // Assumed for a bucket with no history yet
+
+/**
+ * Entry point of the continuation trigger. Removes the trigger, then processes the next batch.
+ */
+function continueFileProcessing() {
+  _deleteFileProcessingContinuation();
+  scanFolderAndProcessFiles();
+}
+
+/**
+ * Names the bucket a file's processing time is averaged in, e.g. "application/pdf:1-10MB".
+ * @param {File} file - The file about to be processed
+ * @returns {string}
+ */
+function _getProcessingTimeBucket(file) {
+  const sizeMb = file.getSize() / (1024 * 1024);
+  const sizeClass = sizeMb < 1 ? '<1MB' : sizeMb < 10 ? '1-10MB' : '>10MB';
+  return `${file.getMimeType()}:${sizeClass}`;
+}
+
+/**
+ * @returns {Object<string, {averageMs: number, count: number}>} - Rolling averages by bucket
+ */
+function _loadProcessingTimes() {
+  const json = PropertiesService.getScriptProperties().getProperty(PROCESSING_TIMES_PROPERTY);
+  return json ? JSON.parse(json) : {};
+}
+
+function _saveProcessingTimes(processingTimes) {
+  PropertiesService.getScriptProperties().setProperty(PROCESSING_TIMES_PROPERTY, JSON.stringify(processingTimes));
+}
+
+/**
+ * Projects how long a file in `bucket` will take. Unknown buckets use the slowest known average,
+ * or DEFAULT_PROCESSING_SECONDS before anything has been measured.
+ * @param {Object} processingTimes - From _loadProcessingTimes
+ * @param {string} bucket - From _getProcessingTimeBucket
+ * @returns {number} - Milliseconds
+ */
+function _projectProcessingTimeMs(processingTimes, bucket) {
+  if (processingTimes[bucket]) {
+    return processingTimes[bucket].averageMs;
+  }
+  const averages = Object.keys(processingTimes).map(key => processingTimes[key].averageMs);
+  return averages.length > 0 ? Math.max.apply(null, averages) : DEFAULT_PROCESSING_SECONDS * 1000;
+}
+
+/**
+ * Adds a measured duration to its bucket's rolling average.
+ * @param {Object} processingTimes - From _loadProcessingTimes; updated in place
+ * @param {string} bucket - From _getProcessingTimeBucket
+ * @param {number} durationMs - How long the file took
+ */
+function _recordProcessingTime(processingTimes, bucket, durationMs) {
+  const entry = processingTimes[bucket] || { averageMs: durationMs, count: 0 };
+  entry.count = Math.min(entry.count + 1, PROCESSING_TIME_WINDOW);
+  entry.averageMs = Math.round(entry.averageMs + (durationMs - entry.averageMs) / entry.count);
+  processingTimes[bucket] = entry;
+}
+
+/**
+ * Schedules continueFileProcessing in a minute, unless a continuation is already pending. Holds the
+ * script lock (unless the caller already does) so simultaneous notifications create one trigger.
+ * @param {string} message - Logged when a new continuation is scheduled
+ * @returns {boolean} - True if a continuation is pending, false if the lock was not available
+ */
+function _scheduleFileProcessingContinuation(message) {
+  const lock = LockService.getScriptLock();
+  const hadLock = lock.hasLock();
+  if (!hadLock && !lock.tryLock(10 * 1000)) {
+    Logger.log("Could not acquire lock to schedule a processing run; another instance is likely running.");
+    return false;
+  }
+  try {
     const properties = PropertiesService.getScriptProperties();
-    const lastApiCallTime = parseInt(properties.getProperty('lastApiCallTime') || '0');
-    const MIN_API_CALL_SPACING_MS = 500; // Adjust as needed
-    
-    if (new Date().getTime() - lastApiCallTime < MIN_API_CALL_SPACING_MS) {
-      Utilities.sleep(MIN_API_CALL_SPACING_MS);
+    const triggerId = properties.getProperty('fileProcessingTriggerId');
+    if (triggerId && ScriptApp.getProjectTriggers().some(trigger => trigger.getUniqueId() === triggerId)) {
+      return true;
+    }
+    const trigger = ScriptApp.newTrigger('continueFileProcessing').timeBased().after(60 * 1000).create();
+    properties.setProperty('fileProcessingTriggerId', trigger.getUniqueId());
+    Logger.log(message);
+    return true;
+  } finally {
+    if (!hadLock) {
+      lock.releaseLock();
+    }
+  }
+}
+
+/**
+ * Returns the first inbox holding a file the next run would process, i.e. one that is not waiting
+ * out a retry backoff, blocked, or held back on the review sheet.
+ * @returns {Object|null} - An inbox from _getInboxes
+ */
+function _findInboxWithFilesToProcess() {
+  const fileStates = _loadDataFile(FILE_STATE_FILE, {});
+  const reviewedIds = REVIEW_MODE ? _getReviewedFileIds() : null;
+  return _getInboxes().find(inbox => {
+    const files = inbox.folder.getFiles();
+    while (files.hasNext()) {
+      const fileId = files.next().getId();
+      if (!_isHeldForReview(fileId, reviewedIds) && _isFileEligible(fileId, fileStates)) {
+        return true;
+      }
+    }
+    return false;
+  }) || null;
+}
+
+function _deleteFileProcessingContinuation() {
+  const properties = PropertiesService.getScriptProperties();
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'continueFileProcessing') {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  properties.deleteProperty('fileProcessingTriggerId');
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * PUSH NOTIFICATIONS
+ * -----------------------------------------------------------------------------
+ * With WEB_APP_URL set, Drive sends a notification to doPost whenever something in the Drive
+ * changes (a `changes.watch` channel). doPost reads the changes since the last notification and
+ * ignores them if they only touch the organizer's own data folder and spreadsheet, which every run
+ * writes to. Otherwise, if an inbox holds a file the next run would process, a processing run is
+ * queued for about a minute later; further notifications in that minute share the same run. Any
+ * other service can queue a run the same way by POSTing to the URL with the webhook token.
+ *
+ * Apps Script cannot read request headers, so the token travels in the query string
+ * (`?token=...`) and Drive's channel headers are not used.
+ */
+
+const WATCH_CHANNEL_LIFETIME_DAYS = 7; // The longest Drive allows for a changes channel
+const WATCH_CHANNEL_RENEW_DAYS = 2; // Renew once the channel has less than this left
+
+/**
+ * Starts the Drive watch channel and the daily trigger that renews it. Run this once after
+ * deploying the web app and setting WEB_APP_URL.
+ */
+function SETUP_PUSH_NOTIFICATIONS() {
+  if (!WEB_APP_URL) {
+    Logger.log("WEB_APP_URL is not set. Deploy the script as a web app and paste its URL first.");
+    return;
+  }
+  if (typeof Drive === 'undefined') {
+    Logger.log("Push notifications need the Drive API advanced service (Services → Drive API).");
+    return;
+  }
+  _startDriveWatch();
+  _deleteTrigger('renewDriveWatch');
+  ScriptApp.newTrigger('renewDriveWatch').timeBased().everyDays(1).create();
+  Logger.log(`Success: Push notifications enabled. Webhook URL: ${_getWebhookUrl()}`);
+}
+
+/**
+ * Stops the Drive watch channel and its renewal trigger. The 10-minute trigger keeps running.
+ */
+function STOP_PUSH_NOTIFICATIONS() {
+  _stopDriveWatch();
+  _deleteTrigger('renewDriveWatch');
+  Logger.log("Push notifications stopped.");
+}
+
+/**
+ * Entry point of the daily renewal trigger. Replaces the watch channel before it expires.
+ */
+function renewDriveWatch() {
+  const channel = _loadWatchChannel();
+  const renewBefore = new Date().getTime() + WATCH_CHANNEL_RENEW_DAYS * 24 * 60 * 60 * 1000;
+  if (channel && channel.expiration > renewBefore) {
+    return;
+  }
+  Logger.log(channel ? "Drive watch channel expires soon. Renewing it." : "No Drive watch channel found. Starting one.");
+  _startDriveWatch();
+}
+
+/**
+ * Web app entry point for Drive notifications and webhook calls. The rest runs under the script
+ * lock, so overlapping notifications and processing runs never read or advance the saved changes
+ * position at the same time. A notification that cannot get the lock is answered 'Busy'; the
+ * changes it announced are read with the next one.
+ * @param {Object} e - The Apps Script event; `e.parameter.token` must match the webhook token
+ * @returns {TextOutput}
+ */
+function doPost(e) {
+  const parameters = (e && e.parameter) || {};
+  const expectedToken = PropertiesService.getScriptProperties().getProperty('webhookToken');
+  if (!expectedToken || parameters.token !== expectedToken) {
+    Logger.log("Rejected a push notification with a missing or wrong token.");
+    return ContentService.createTextOutput('Forbidden');
+  }
+
+  const channelId = parameters.channel;
+  const channel = _loadWatchChannel();
+  if (channelId && (!channel || channel.id !== channelId)) {
+    // A notification from a channel that has since been replaced
+    return ContentService.createTextOutput('Ignored');
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(10 * 1000)) {
+    Logger.log("Could not acquire lock to handle a push notification; another instance is likely running.");
+    return ContentService.createTextOutput('Busy');
+  }
+  try {
+    if (channelId && !_hasOutsideDriveChanges()) {
+      return ContentService.createTextOutput('Ignored');
+    }
+
+    const waitingInbox = _findInboxWithFilesToProcess();
+    if (!waitingInbox) {
+      return ContentService.createTextOutput('No files waiting');
+    }
+    const queued = _scheduleFileProcessingContinuation(`Push notification received. Files are waiting in '${waitingInbox.name}'; processing in a minute.`);
+    return ContentService.createTextOutput(queued ? 'Queued' : 'Busy');
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sends a locally built notification through doPost, as Drive or a webhook caller would, and logs
+ * the reply. Use it to check the token and the queueing without deploying the web app.
+ */
+function DEBUG_SIMULATE_PUSH_NOTIFICATION() {
+  const channel = _loadWatchChannel();
+  const parameter = { token: _getWebhookToken() };
+  if (channel) parameter.channel = channel.id;
+  const payload = JSON.stringify({ source: 'DEBUG_SIMULATE_PUSH_NOTIFICATION', sentAt: new Date().toISOString() });
+  const reply = doPost({
+    parameter: parameter,
+    queryString: Object.keys(parameter).map(key => `${key}=${encodeURIComponent(parameter[key])}`).join('&'),
+    postData: { contents: payload, type: 'application/json', length: payload.length }
+  });
+  Logger.log(`doPost replied: ${reply.getContent()}`);
+}
+
+/**
+ * Returns the secret that doPost expects, creating it on first use.
+ * @returns {string}
+ */
+function _getWebhookToken() {
+  const properties = PropertiesService.getScriptProperties();
+  let token = properties.getProperty('webhookToken');
+  if (!token) {
+    token = Utilities.getUuid().replace(/-/g, '');
+    properties.setProperty('webhookToken', token);
+  }
+  return token;
+}
+
+/**
+ * Reads the Drive changes since the last notification and reports whether any of them touches
+ * something other than the organizer's data folder and spreadsheet. Removed files are ignored too,
+ * as they leave nothing to process. The caller must hold the script lock.
+ * @returns {boolean} - True if a processing run may have something new to do
+ */
+function _hasOutsideDriveChanges() {
+  const properties = PropertiesService.getScriptProperties();
+  let pageToken = properties.getProperty('driveWatchPageToken');
+  if (!pageToken) {
+    // Channels started by an earlier version have no saved position; start reading from now
+    properties.setProperty('driveWatchPageToken', Drive.Changes.getStartPageToken({ supportsAllDrives: true }).startPageToken);
+    return true;
+  }
+
+  const ownIds = [properties.getProperty('dataFolderId'), properties.getProperty('organizerSpreadsheetId')].filter(id => id);
+  let outsideChange = false;
+  try {
+    while (pageToken) {
+      const page = Drive.Changes.list(pageToken, {
+        pageSize: 1000,
+        includeRemoved: false,
+        includeItemsFromAllDrives: INCLUDE_SHARED_DRIVES,
+        supportsAllDrives: true,
+        spaces: 'drive',
+        fields: 'nextPageToken,newStartPageToken,changes(fileId,file(parents))'
+      });
+      outsideChange = outsideChange || (page.changes || []).some(change => ownIds.indexOf(change.fileId) === -1 &&
+        !(change.file && (change.file.parents || []).some(parentId => ownIds.indexOf(parentId) !== -1)));
+      if (page.newStartPageToken) {
+        properties.setProperty('driveWatchPageToken', page.newStartPageToken);
+      }
+      pageToken = page.nextPageToken || null;
+    }
+  } catch (e) {
+    Logger.log(`Could not read Drive changes for a push notification: ${e.toString()}. Treating it as relevant.`);
+    properties.deleteProperty('driveWatchPageToken');
+    return true;
+  }
+  return outsideChange;
+}
+
+function _getWebhookUrl() {
+  return `${WEB_APP_URL}${WEB_APP_URL.indexOf('?') === -1 ? '?' : '&'}token=${_getWebhookToken()}`;
+}
+
+/**
+ * Opens a new changes channel pointing at the web app, then stops the one it replaces so there is
+ * no gap without notifications.
+ */
+function _startDriveWatch() {
+  const previousChannel = _loadWatchChannel();
+  const pageToken = Drive.Changes.getStartPageToken({ supportsAllDrives: true }).startPageToken;
+  const channelId = Utilities.getUuid();
+  const response = Drive.Changes.watch({
+    id: channelId,
+    type: 'web_hook',
+    address: `${_getWebhookUrl()}&channel=${channelId}`,
+    expiration: new Date().getTime() + WATCH_CHANNEL_LIFETIME_DAYS * 24 * 60 * 60 * 1000
+  }, pageToken, {
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: INCLUDE_SHARED_DRIVES
+  });
+  const properties = PropertiesService.getScriptProperties();
+  properties.setProperty('driveWatchChannel', JSON.stringify({
+    id: response.id,
+    resourceId: response.resourceId,
+    expiration: parseInt(response.expiration)
+  }));
+  if (!properties.getProperty('driveWatchPageToken')) {
+    properties.setProperty('driveWatchPageToken', pageToken);
+  }
+  Logger.log(`Drive watch channel ${response.id} started, expires ${new Date(parseInt(response.expiration)).toLocaleString()}.`);
+  if (previousChannel) {
+    _stopWatchChannel(previousChannel);
+  }
+}
+
+function _stopDriveWatch() {
+  const channel = _loadWatchChannel();
+  if (channel) {
+    _stopWatchChannel(channel);
+  }
+  PropertiesService.getScriptProperties().deleteProperty('driveWatchChannel');
+  PropertiesService.getScriptProperties().deleteProperty('driveWatchPageToken');
+}
+
+function _stopWatchChannel(channel) {
+  try {
+    Drive.Channels.stop({ id: channel.id, resourceId: channel.resourceId });
+  } catch (e) {
+    // The channel may already have expired
+    Logger.log(`Could not stop Drive watch channel ${channel.id}: ${e.toString()}`);
+  }
+}
+
+/**
+ * @returns {{id: string, resourceId: string, expiration: number}|null} - The current watch channel
+ */
+function _loadWatchChannel() {
+  const json = PropertiesService.getScriptProperties().getProperty('driveWatchChannel');
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * WATCHDOG
+ * -----------------------------------------------------------------------------
+ * The folder scan's state lives in the scanState_* script properties: inProgress, startTime,
+ * heartbeat (set by every continuation and by the watchdog when it resumes a scan), tempTriggerId
+ * (the pending continuation) and resumeAttempts (cleared once a continuation saves its progress or
+ * finishes). A scan whose heartbeat is older than SCAN_STALL_MINUTES is resumed from its saved
+ * progress; once WATCHDOG_MAX_SCAN_RESUMES resumes have not got it going again, it is restarted
+ * from scratch and reported.
+ */
+
+const WATCHDOG_MAX_SCAN_RESUMES = 2;
+const WATCHDOG_ALERT_REPEAT_HOURS = 24; // The same problems are emailed again at most this often
+
+/**
+ * Entry point of the watchdog trigger. Checks the triggers, the folder scan and the folder cache,
+ * repairs what it can and emails the problems it could not fix. Can also be run by hand.
+ */
+function runWatchdog() {
+  const report = { repairs: [], problems: [] };
+  _checkTriggers(report);
+  _checkFolderScan(report);
+  _checkFolderCacheFreshness(report);
+
+  if (report.repairs.length === 0 && report.problems.length === 0) {
+    Logger.log("Watchdog: everything looks healthy.");
+  }
+  _reportWatchdogFindings(report);
+  const properties = PropertiesService.getScriptProperties();
+  properties.setProperty('watchdogLastRun', JSON.stringify({
+    at: new Date().toISOString(),
+    repairs: report.repairs.length,
+    problems: report.problems.length
+  }));
+  if (report.problems.length === 0) {
+    properties.deleteProperty('watchdogLastAlert');
+  }
+}
+
+/**
+ * Deletes duplicate and stale triggers, then recreates any expected trigger that is missing.
+ * @param {{repairs: string[], problems: string[]}} report - Collects what was found
+ */
+function _checkTriggers(report) {
+  _removeDuplicateTriggers().forEach(repair => report.repairs.push(repair));
+
+  const handlers = ScriptApp.getProjectTriggers().map(trigger => trigger.getHandlerFunction());
+  _getExpectedTriggers().forEach(expected => {
+    if (handlers.indexOf(expected.handler) !== -1) return;
+    try {
+      expected.create();
+      report.repairs.push(`Recreated the missing '${expected.handler}' trigger.`);
+    } catch (e) {
+      report.problems.push(`The '${expected.handler}' trigger is missing and could not be recreated: ${e.toString()}`);
+    }
+  });
+}
+
+/**
+ * Lists the recurring triggers the current configuration needs.
+ * @returns {Array<{handler: string, create: Function}>} - Each trigger's handler and the function that creates it
+ */
+function _getExpectedTriggers() {
+  const expected = [
+    { handler: 'scanFolderAndProcessFiles', create: createFileProcessingTrigger },
+    { handler: 'refreshFolderCache', create: createCacheTrigger }
+  ];
+  if (WATCHDOG_ENABLED) {
+    expected.push({ handler: 'runWatchdog', create: createWatchdogTrigger });
+  }
+  if (WEB_APP_URL) {
+    expected.push({ handler: 'renewDriveWatch', create: SETUP_PUSH_NOTIFICATIONS });
+  }
+  if (DAILY_DIGEST_ENABLED) {
+    expected.push({ handler: 'sendDailyDigest', create: createDailyDigestTrigger });
+  }
+  return expected;
+}
+
+/**
+ * Keeps one trigger per recurring handler. Continuation triggers are kept only if they are the one
+ * the script is waiting for, so leftovers of finished or reset scans and runs are removed too.
+ * @returns {string[]} - A description of each deleted trigger
+ */
+function _removeDuplicateTriggers() {
+  const properties = PropertiesService.getScriptProperties();
+  const pendingContinuationIds = {
+    continueFolderScan: properties.getProperty('scanState_inProgress') === 'true' ? properties.getProperty('scanState_tempTriggerId') : null,
+    continueFileProcessing: properties.getProperty('fileProcessingTriggerId')
+  };
+  const seenHandlers = new Set();
+  const repairs = [];
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    const handler = trigger.getHandlerFunction();
+    const keep = handler in pendingContinuationIds
+      ? trigger.getUniqueId() === pendingContinuationIds[handler]
+      : !seenHandlers.has(handler);
+    seenHandlers.add(handler);
+    if (keep) return;
+    ScriptApp.deleteTrigger(trigger);
+    repairs.push(`Deleted a duplicate or stale '${handler}' trigger (${trigger.getUniqueId()}).`);
+  });
+  return repairs;
+}
+
+/**
+ * Resumes or restarts a folder scan that has stopped making progress. Holds the script lock while
+ * it does, so the watchdog and a processing run never both resume the same scan.
+ * @param {{repairs: string[], problems: string[]}} report - Collects what was found
+ */
+function _checkFolderScan(report) {
+  if (!_isFolderScanStalled()) return;
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(100)) {
+    Logger.log("Could not acquire lock to check the stalled folder scan; it will be checked on the next run.");
+    return;
+  }
+  try {
+    // Another run may have resumed the scan while this one waited
+    if (!_isFolderScanStalled()) return;
+    const properties = PropertiesService.getScriptProperties();
+    const attempts = parseInt(properties.getProperty('scanState_resumeAttempts') || '0');
+    const stalledMinutes = Math.round((new Date().getTime() - _getScanHeartbeat()) / (60 * 1000));
+    const scanState = _loadDataFile(FOLDER_SCAN_STATE_FILE, null);
+
+    if (scanState && attempts < WATCHDOG_MAX_SCAN_RESUMES) {
+      _createContinuationTrigger();
+      properties.setProperties({
+        'scanState_resumeAttempts': String(attempts + 1),
+        'scanState_heartbeat': new Date().getTime().toString()
+      });
+      report.repairs.push(`The folder scan had no heartbeat for ${stalledMinutes} minutes. Resumed it from its saved progress (attempt ${attempts + 1} of ${WATCHDOG_MAX_SCAN_RESUMES}).`);
+      return;
+    }
+
+    _resetFolderScanState();
+    _createContinuationTrigger();
+    if (scanState) {
+      report.problems.push(`The folder scan stalled again after ${attempts} resume(s) and was restarted from scratch. If this keeps happening, check the executions of continueFolderScan for errors.`);
+    } else {
+      report.repairs.push(`The folder scan had no heartbeat for ${stalledMinutes} minutes and its saved progress was missing. Restarted it from scratch.`);
+    }
+  } catch (e) {
+    report.problems.push(`The folder scan is stuck and could not be restarted: ${e.toString()}`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Refreshes a folder cache that is missing or older than twice FOLDER_CACHE_REFRESH_HOURS, which
+ * means the cache trigger has not been doing its job.
+ * @param {{repairs: string[], problems: string[]}} report - Collects what was found
+ */
+function _checkFolderCacheFreshness(report) {
+  const properties = PropertiesService.getScriptProperties();
+  if (properties.getProperty('scanState_inProgress') === 'true') return;
+  const cacheTimestamp = properties.getProperty('folderCacheTimestamp');
+  const ageHours = cacheTimestamp ? (new Date().getTime() - new Date(cacheTimestamp).getTime()) / (60 * 60 * 1000) : Infinity;
+  if (ageHours <= FOLDER_CACHE_REFRESH_HOURS * 2) return;
+
+  const age = cacheTimestamp ? `${Math.round(ageHours)} hours old` : 'missing';
+  try {
+    refreshFolderCache();
+  } catch (e) {
+    report.problems.push(`The folder cache is ${age} and refreshing it failed: ${e.toString()}`);
+    return;
+  }
+  if (properties.getProperty('scanState_inProgress') === 'true') {
+    report.repairs.push(`The folder cache was ${age}. Started a full folder scan.`);
+  } else if (properties.getProperty('folderCacheTimestamp') !== cacheTimestamp) {
+    report.repairs.push(`The folder cache was ${age}. Refreshed it.`);
+  } else {
+    report.problems.push(`The folder cache is ${age} and could not be refreshed. Check the executions of refreshFolderCache for errors.`);
+  }
+}
+
+/**
+ * @returns {boolean} - True if a folder scan is in progress but its heartbeat is older than SCAN_STALL_MINUTES
+ */
+function _isFolderScanStalled() {
+  if (PropertiesService.getScriptProperties().getProperty('scanState_inProgress') !== 'true') return false;
+  return new Date().getTime() - _getScanHeartbeat() > SCAN_STALL_MINUTES * 60 * 1000;
+}
+
+/**
+ * @returns {number} - When the running scan last showed progress, in milliseconds since epoch.
+ *     Scans started by older versions have no heartbeat, so their start time is used.
+ */
+function _getScanHeartbeat() {
+  const properties = PropertiesService.getScriptProperties();
+  return parseInt(properties.getProperty('scanState_heartbeat') || properties.getProperty('scanState_startTime') || '0');
+}
+
+/**
+ * Deletes every scan state property.
+ */
+function _clearScanStateProperties() {
+  const properties = PropertiesService.getScriptProperties();
+  ['scanState_inProgress', 'scanState_startTime', 'scanState_heartbeat', 'scanState_tempTriggerId', 'scanState_resumeAttempts']
+    .forEach(key => properties.deleteProperty(key));
+}
+
+/**
+ * Logs the watchdog's repairs and problems, and emails the problems. The same set of problems is
+ * emailed again only after WATCHDOG_ALERT_REPEAT_HOURS.
+ * @param {{repairs: string[], problems: string[]}} report
+ */
+function _reportWatchdogFindings(report) {
+  report.repairs.forEach(repair => Logger.log(`Watchdog repaired: ${repair}`));
+  report.problems.forEach(problem => Logger.log(`Watchdog problem: ${problem}`));
+  if (report.problems.length === 0) return;
+
+  const properties = PropertiesService.getScriptProperties();
+  const summary = report.problems.join('\n');
+  const lastAlert = _parseJsonSafely(properties.getProperty('watchdogLastAlert'));
+  if (lastAlert && lastAlert.summary === summary &&
+      new Date().getTime() - lastAlert.at < WATCHDOG_ALERT_REPEAT_HOURS * 60 * 60 * 1000) {
+    return;
+  }
+  const repairsNote = report.repairs.length > 0
+    ? `\n\nIt did repair:\n${report.repairs.map(repair => `- ${repair}`).join('\n')}`
+    : '';
+  _sendNotification(
+    `Watchdog found ${report.problems.length} problem(s)`,
+    `The watchdog could not fix the following by itself:\n${report.problems.map(problem => `- ${problem}`).join('\n')}` +
+    `${repairsNote}\n\nRun DEBUG_CHECK_SCAN_STATE for details.`);
+  properties.setProperty('watchdogLastAlert', JSON.stringify({ summary: summary, at: new Date().getTime() }));
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * PROCESSING STATE & RETRIES
+ * -----------------------------------------------------------------------------
+ * Files that fail are tracked in a data file keyed by file ID:
+ * {name, inboxId, attempts, lastError, lastAttemptAt, nextEligibleAt, deadLetteredAt, blockedAt}.
+ * The entry is removed as soon as the file is organized. Files that can never succeed as they are
+ * (Drive refuses the move) are blocked: left in their inbox and not tried again.
+ */
+
+const FILE_STATE_FILE = 'file-state.json';
+const FILE_STATE_RETENTION_DAYS = 30; // Entries of files that were not seen again for this long are dropped
+
+/**
+ * Lists the files that have failed and when they will be tried again.
+ */
+function DEBUG_LIST_FAILED_FILES() {
+  const fileStates = _loadDataFile(FILE_STATE_FILE, {});
+  const fileIds = Object.keys(fileStates);
+  Logger.log(`${fileIds.length} file(s) with failed attempts.`);
+  fileIds.forEach(fileId => {
+    const state = fileStates[fileId];
+    const status = state.deadLetteredAt
+      ? `dead-lettered ${state.deadLetteredAt}`
+      : state.blockedAt
+        ? `blocked ${state.blockedAt}, not retried`
+        : `next attempt after ${new Date(state.nextEligibleAt).toISOString()}`;
+    Logger.log(`- '${state.name}' (${fileId}): ${state.attempts} attempt(s), ${status}. Last error: ${state.lastError}`);
+  });
+}
+
+/**
+ * Moves every dead-lettered file back to the inbox it came from and resets its attempts, e.g.
+ * after fixing an API key or raising a limit. Blocked files are tried again too.
+ */
+function RETRY_FAILED_FILES() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(100)) {
+    Logger.log("Could not acquire lock, another instance is likely running. Try again shortly.");
+    return;
+  }
+  try {
+    const fileStates = _loadDataFile(FILE_STATE_FILE, {});
+    const inboxes = _getInboxes();
+    let retriedCount = 0;
+    Object.keys(fileStates).forEach(fileId => {
+      const state = fileStates[fileId];
+      if (state.blockedAt) {
+        delete fileStates[fileId];
+        retriedCount++;
+        return;
+      }
+      if (!state.deadLetteredAt) return;
+      try {
+        const inbox = inboxes.find(candidate => candidate.id === state.inboxId) || inboxes[0];
+        const file = DriveApp.getFileById(fileId);
+        _moveFile(file, file.getName(), inbox.folder.getId());
+        delete fileStates[fileId];
+        retriedCount++;
+        Logger.log(`Moved '${file.getName()}' back to inbox '${inbox.name}'.`);
+      } catch (e) {
+        Logger.log(`Could not move '${state.name}' (${fileId}) back to its inbox: ${e.toString()}`);
+      }
+    });
+    _saveFileStates(fileStates);
+    Logger.log(`${retriedCount} dead-lettered or blocked file(s) will be retried.`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * @param {string} fileId
+ * @param {Object} fileStates - The processing state of the current run
+ * @returns {boolean} - False while a failed file is waiting out its backoff, and for blocked files
+ */
+function _isFileEligible(fileId, fileStates) {
+  const state = fileStates[fileId];
+  return !state || (!state.blockedAt && state.nextEligibleAt <= new Date().getTime());
+}
+
+/**
+ * Forgets the failures of a file that has now been organized.
+ * @param {string} fileId
+ * @param {Object} fileStates - The processing state of the current run
+ */
+function _clearFileState(fileId, fileStates) {
+  if (fileStates) delete fileStates[fileId];
+}
+
+/**
+ * Records a failed attempt. The next attempt is scheduled with exponential backoff; once
+ * MAX_ATTEMPTS is reached the file is moved to DEAD_LETTER_FOLDER_PATH with the last error in its
+ * description. Errors marked `permanent` dead-letter the file at once; if even that move fails,
+ * the file is blocked and left where it is.
+ *
+ * @param {File} file - The file that could not be organized
+ * @param {Error|string} error - What went wrong
+ * @param {Object} runContext - Provides `fileStates`, `inbox` and `runId`
+ */
+function _recordFileFailure(file, error, runContext) {
+  if (!runContext.fileStates) return;
+  const fileId = file.getId();
+  const now = new Date().getTime();
+  const state = runContext.fileStates[fileId] || { attempts: 0 };
+  state.name = file.getName();
+  state.inboxId = runContext.inbox ? runContext.inbox.id : null;
+  state.attempts++;
+  state.lastError = String(error && error.message || error).substring(0, 500);
+  state.lastAttemptAt = now;
+
+  const delayMinutes = Math.min(RETRY_BASE_DELAY_MINUTES * Math.pow(2, state.attempts - 1), RETRY_MAX_DELAY_HOURS * 60);
+  state.nextEligibleAt = now + delayMinutes * 60 * 1000;
+  runContext.fileStates[fileId] = state;
+
+  // Another attempt would fail the same way
+  const permanent = !!(error && error.permanent);
+  if (!permanent && state.attempts < MAX_ATTEMPTS) {
+    Logger.log(`Attempt ${state.attempts} of ${MAX_ATTEMPTS} failed for '${state.name}'. Next attempt in ${delayMinutes} minutes.`);
+    return;
+  }
+
+  Logger.log(permanent
+    ? `'${state.name}' cannot be organized and will not be retried. Moving it to '${DEAD_LETTER_FOLDER_PATH}'.`
+    : `'${state.name}' failed ${state.attempts} times. Moving it to '${DEAD_LETTER_FOLDER_PATH}'.`);
+  try {
+    _appendToDescription(file, permanent
+      ? `Failed on ${new Date(now).toISOString()} and not retried: ${state.lastError}`
+      : `Failed ${state.attempts} times, last on ${new Date(now).toISOString()}: ${state.lastError}`);
+    if (_moveFileToDestination(file, { newFilename: state.name, destinationFolder: DEAD_LETTER_FOLDER_PATH, createMissingFolders: true }, runContext)) {
+      state.deadLetteredAt = new Date(now).toISOString();
+    }
+  } catch (e) {
+    Logger.log(`Could not dead-letter '${state.name}': ${e.toString()}`);
+  }
+  // A forbidden move usually rules out the dead-letter folder too, so the file stays put untried
+  if (permanent && !state.deadLetteredAt) {
+    state.blockedAt = new Date(now).toISOString();
+    Logger.log(`'${state.name}' is left where it is and will not be retried.`);
+  }
+}
+
+/**
+ * Saves the processing state, dropping entries of files that were not attempted for
+ * FILE_STATE_RETENTION_DAYS (they were most likely moved by hand). Dead-lettered and blocked entries
+ * are kept.
+ * @param {Object} fileStates
+ */
+function _saveFileStates(fileStates) {
+  const cutoff = new Date().getTime() - FILE_STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  Object.keys(fileStates).forEach(fileId => {
+    if (!fileStates[fileId].deadLetteredAt && !fileStates[fileId].blockedAt && fileStates[fileId].lastAttemptAt < cutoff) {
+      delete fileStates[fileId];
+    }
+  });
+  _saveDataFile(FILE_STATE_FILE, fileStates);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DUPLICATE DETECTION
+ * -----------------------------------------------------------------------------
+ * Every organized file is added to a content index: its Drive MD5 checksum and, when its text was
+ * extracted, a hash of the normalized text plus a MinHash signature of its word triples. A new file
+ * with the same checksum or text hash as an indexed file is an exact duplicate; one whose signature
+ * is at least NEAR_DUPLICATE_THRESHOLD similar is a likely duplicate and is quarantined for review.
+ */
+
+const CONTENT_INDEX_FILE = 'content-index.json';
+const CONTENT_INDEX_MAX_ENTRIES = 5000; // Oldest entries are dropped once the index grows past this
+const MINHASH_SIZE = 32; // Signature length; similarity is the share of matching positions
+const MIN_FINGERPRINT_TEXT_LENGTH = 100; // Shorter texts say too little to compare
+const MAX_FINGERPRINT_TEXT_LENGTH = 20000; // Only the start of long texts is compared
+const TRASH_DESTINATION = 'Trash'; // Destination recorded for, and approvable on the review sheet as, the trash
+const DUPLICATE_REVIEW_SOURCE = 'Duplicate check'; // The Model column of review rows for duplicates
+
+/**
+ * Looks up a file in the content index and, if it duplicates an indexed file, applies
+ * DUPLICATE_POLICY (exact) or quarantines it (near-duplicate). In REVIEW_MODE that action is
+ * queued for review instead, and the file is left untouched.
+ * @param {File} file - The file being organized
+ * @param {Object} fingerprint - {md5, textHash, minHash}; any of them may be missing
+ * @param {Object} runContext - Provides `contentIndex`, and `runId` and `undoJournal` for the moves
+ * @returns {{outcome: string, destination: string, details: string}|null} - What was done with the
+ *     file if it is a duplicate (it needs nothing else then), or null
+ */
+function _handleDuplicate(file, fingerprint, runContext) {
+  const match = _findDuplicate(file, fingerprint, runContext.contentIndex);
+  if (!match) {
+    return null;
+  }
+  const original = `"${match.entry.name}" in ${match.entry.path}`;
+  const originalLink = `https://drive.google.com/file/d/${match.entry.fileId}/view`;
+
+  if (REVIEW_MODE) {
+    const destination = !match.exact ? QUARANTINE_FOLDER_PATH : DUPLICATE_POLICY === 'TRASH' ? TRASH_DESTINATION : DUPLICATES_FOLDER_PATH;
+    const details = !match.exact
+      ? `Looks like a near-duplicate (${Math.round(match.similarity * 100)}% similar) of ${original}.`
+      : `Duplicate of ${original}.`;
+    _queueSuggestionForReview(file, { newFilename: file.getName(), destinationFolder: destination, source: DUPLICATE_REVIEW_SOURCE }, `${details} Original: ${originalLink}`);
+    return { outcome: 'REVIEW', destination: destination, source: DUPLICATE_REVIEW_SOURCE, details: details };
+  }
+
+  if (!match.exact) {
+    const reason = `Looks like a near-duplicate (${Math.round(match.similarity * 100)}% similar) of ${original}.`;
+    if (!_quarantineFile(file, { reason: `Original: ${originalLink}` }, reason, runContext)) {
+      throw new Error('The file could not be moved to the quarantine folder');
+    }
+    return { outcome: 'QUARANTINED', destination: QUARANTINE_FOLDER_PATH, details: reason };
+  }
+
+  if (DUPLICATE_POLICY === 'TRASH') {
+    Logger.log(`'${file.getName()}' is a duplicate of ${original}. Moving it to the trash.`);
+    _trashFile(file, runContext);
+    return { outcome: 'DUPLICATE', destination: TRASH_DESTINATION, details: `Duplicate of ${original}` };
+  }
+  Logger.log(`'${file.getName()}' is a duplicate of ${original}.`);
+  _appendToDescription(file, `Duplicate of ${original} (${originalLink}), found ${new Date().toISOString()}`);
+  if (!_moveFileToDestination(file, { newFilename: file.getName(), destinationFolder: DUPLICATES_FOLDER_PATH, createMissingFolders: true }, runContext)) {
+    throw new Error('The file could not be moved to the duplicates folder');
+  }
+  return { outcome: 'DUPLICATE', destination: DUPLICATES_FOLDER_PATH, details: `Duplicate of ${original}` };
+}
+
+/**
+ * Puts a file in the trash. The change is journaled like a move, so UNDO_FILE and UNDO_LAST_RUN
+ * can take it out of the trash again.
+ * @param {File} file
+ * @param {Object} runContext - {runId, undoJournal} of the run making the change
+ */
+function _trashFile(file, runContext) {
+  runContext.undoJournal.push({
+    runId: runContext.runId,
+    timestamp: new Date().toISOString(),
+    fileId: file.getId(),
+    oldName: file.getName(),
+    oldParentIds: _getParentIds(file),
+    newName: file.getName(),
+    newFolderId: null,
+    newFolderPath: TRASH_DESTINATION,
+    trashed: true
+  });
+  file.setTrashed(true);
+}
+
+/**
+ * Finds the indexed file that `fingerprint` duplicates. Entries of the file itself (moved back into
+ * an inbox) and of originals that have since been trashed or deleted are dropped from the index.
+ * @param {File} file - The file being organized
+ * @param {Object} fingerprint - {md5, textHash, minHash}
+ * @param {Array<Object>} contentIndex - Updated in place
+ * @returns {{entry: Object, exact: boolean, similarity: number}|null}
+ */
+function _findDuplicate(file, fingerprint, contentIndex) {
+  const fileId = file.getId();
+  for (let i = contentIndex.length - 1; i >= 0; i--) {
+    const entry = contentIndex[i];
+    const exact = (fingerprint.md5 && entry.md5 === fingerprint.md5) ||
+      (fingerprint.textHash && entry.textHash === fingerprint.textHash);
+    const similarity = exact ? 1 : _minHashSimilarity(fingerprint.minHash, entry.minHash);
+    if (!exact && (NEAR_DUPLICATE_THRESHOLD <= 0 || similarity < NEAR_DUPLICATE_THRESHOLD)) {
+      continue;
+    }
+    if (entry.fileId === fileId || !_isFileAvailable(entry.fileId)) {
+      contentIndex.splice(i, 1);
+      continue;
+    }
+    return { entry: entry, exact: !!exact, similarity: similarity };
+  }
+  return null;
+}
+
+/**
+ * Adds an organized file to the content index, replacing any earlier entry for it.
+ * @param {Array<Object>} contentIndex - Updated in place
+ * @param {File} file - The organized file
+ * @param {Object} fingerprint - {md5, textHash, minHash}
+ * @param {string} path - The folder it was moved to
+ */
+function _addToContentIndex(contentIndex, file, fingerprint, path) {
+  const fileId = file.getId();
+  const existing = contentIndex.findIndex(entry => entry.fileId === fileId);
+  if (existing !== -1) {
+    contentIndex.splice(existing, 1);
+  }
+  contentIndex.push({
+    fileId: fileId,
+    name: file.getName(),
+    path: path,
+    md5: fingerprint.md5 || null,
+    textHash: fingerprint.textHash || null,
+    minHash: fingerprint.minHash || null,
+    indexedAt: new Date().toISOString()
+  });
+}
+
+function _saveContentIndex(contentIndex) {
+  _saveDataFile(CONTENT_INDEX_FILE, contentIndex.slice(-CONTENT_INDEX_MAX_ENTRIES));
+}
+
+/**
+ * Returns the file's MD5 checksum, from Drive when the advanced service is enabled, otherwise by
+ * hashing files small enough to send inline. Google Docs, Sheets and Slides have none.
+ * @param {File} file
+ * @returns {string|null}
+ */
+function _getMd5Checksum(file) {
+  if (file.getMimeType().indexOf('application/vnd.google-apps.') === 0) {
+    return null;
+  }
+  try {
+    if (typeof Drive !== 'undefined') {
+      return Drive.Files.get(file.getId(), { fields: 'md5Checksum', supportsAllDrives: true }).md5Checksum || null;
+    }
+    if (file.getSize() <= INLINE_FILE_SIZE_LIMIT_MB * 1024 * 1024) {
+      return _bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, file.getBlob().getBytes()));
+    }
+  } catch (e) {
+    Logger.log(`Could not compute a checksum for '${file.getName()}': ${e.toString()}`);
+  }
+  return null;
+}
+
+/**
+ * Fingerprints extracted text: a hash of the normalized text for exact matches and a MinHash
+ * signature of its word triples for near matches. Case, punctuation and spacing are ignored, so two
+ * scans of the same page usually match even though their files differ.
+ * @param {Object|null} content - From _extractContent
+ * @returns {{textHash: string, minHash: number[]}|{}} - Empty when there is too little text
+ */
+function _getTextFingerprint(content) {
+  const text = content && content.text
+    ? content.text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().substring(0, MAX_FINGERPRINT_TEXT_LENGTH)
+    : '';
+  if (text.length < MIN_FINGERPRINT_TEXT_LENGTH) {
+    return {};
+  }
+
+  const words = text.split(' ');
+  const minHash = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (let i = 0; i + 2 < words.length; i++) {
+    const shingleHash = _fnv1aHash(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+    for (let k = 0; k < MINHASH_SIZE; k++) {
+      // Mixing the shingle hash with a per-position constant stands in for MINHASH_SIZE hash functions
+      const hash = _mixHash(shingleHash ^ Math.imul(k + 1, 0x9e3779b1));
+      if (hash < minHash[k]) minHash[k] = hash;
+    }
+  }
+
+  return {
+    textHash: _bytesToHex(Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8)),
+    minHash: minHash
+  };
+}
+
+function _minHashSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) matches++;
+  }
+  return matches / a.length;
+}
+
+function _fnv1aHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function _mixHash(value) {
+  let hash = Math.imul(value ^ (value >>> 16), 0x85ebca6b);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+function _bytesToHex(bytes) {
+  return bytes.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {string} fileId
+ * @returns {boolean} - True if the file still exists and is not in the trash
+ */
+function _isFileAvailable(fileId) {
+  try {
+    return !DriveApp.getFileById(fileId).isTrashed();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * REVIEW MODE
+ * -----------------------------------------------------------------------------
+ */
+
+const REVIEW_SHEET_NAME = 'Review';
+const REVIEW_SHEET_HEADERS = [
+  'Timestamp', 'File ID', 'Original Name', 'Suggested Filename', 'Suggested Destination',
+  'Model', 'Status', 'Approved Filename', 'Approved Destination', 'Notes'
+];
+
+/**
+ * Applies every review row that has been approved or edited. Runs automatically at the start of
+ * each file processing run when REVIEW_MODE is enabled; run it by hand to apply approvals now.
+ */
+function APPLY_REVIEWED_SUGGESTIONS() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(100)) {
+    Logger.log("Could not acquire lock, another instance is likely running. Try again shortly.");
+    return;
+  }
+  try {
+    _applyReviewedSuggestions();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Appends an AI suggestion to the review sheet with status PENDING. The "Approved" columns are
+ * pre-filled with the suggestion so reviewers only need to change what is wrong.
+ *
+ * @param {File} file - The Google Drive file the suggestion is for
+ * @param {{newFilename: string, destinationFolder: string, source: string}} result - The suggestion
+ *     and the model or rule that made it
+ * @param {string=} note - Written to Notes ahead of the AI's confidence and reason, e.g. why the
+ *     file would have been quarantined
+ */
+function _queueSuggestionForReview(file, result, note) {
+  const sheet = _getOrganizerSheet(REVIEW_SHEET_NAME, REVIEW_SHEET_HEADERS);
+  sheet.appendRow([
+    new Date(),
+    file.getId(),
+    file.getName(),
+    result.newFilename,
+    result.destinationFolder,
+    result.source || _getActiveModelName(),
+    'PENDING',
+    result.newFilename,
+    result.destinationFolder,
+    [note, result.reason ? `Confidence ${result.confidence}: ${result.reason}` : ''].filter(part => part).join(' ')
+  ]);
+  Logger.log(`Suggestion for '${file.getName()}' queued for review: '${result.newFilename}' -> '${result.destinationFolder}'.`);
+}
+
+/**
+ * Applies review rows that a person has approved, or whose "Approved" columns differ from the
+ * original suggestion. Each applied row is marked APPLIED, or ERROR with a note on failure, and
+ * recorded in the activity log. A row approved for the trash puts the file in the trash; one
+ * approved for the quarantine or duplicates folder also adds its Notes to the file's description.
+ */
+function _applyReviewedSuggestions() {
+  const sheet = _getOrganizerSheet(REVIEW_SHEET_NAME, REVIEW_SHEET_HEADERS);
+  const contentIndex = DUPLICATE_POLICY !== 'OFF' ? _loadDataFile(CONTENT_INDEX_FILE, []) : null;
+  const runContext = {
+    runId: _newRunId(),
+    folders: _loadFolderCache(),
+    contentIndex: contentIndex,
+    activityLog: ACTIVITY_LOG_ENABLED ? [] : null,
+    undoJournal: []
+  };
+  let appliedCount = 0;
+
+  _readSheetRecords(sheet).forEach(record => {
+    const status = String(record['Status']).trim().toUpperCase();
+    if (status === 'APPLIED' || status === 'REJECTED') return;
+
+    const newFilename = String(record['Approved Filename'] || record['Suggested Filename']).trim();
+    const destinationFolder = String(record['Approved Destination'] || record['Suggested Destination']).trim();
+    const edited = newFilename !== String(record['Suggested Filename']).trim() ||
+                   destinationFolder !== String(record['Suggested Destination']).trim();
+    if (status !== 'APPROVED' && !(status === 'PENDING' && edited)) return;
+
+    const activity = { startTime: new Date().getTime(), originalName: String(record['Original Name']) };
+    const source = String(record['Model'] || '');
+    let file = null;
+    try {
+      file = DriveApp.getFileById(record['File ID']);
+      activity.originalName = file.getName();
+      const setAside = destinationFolder === TRASH_DESTINATION || _isReservedFolderPath(destinationFolder);
+      let moved;
+      if (destinationFolder === TRASH_DESTINATION) {
+        _trashFile(file, runContext);
+        moved = true;
+      } else {
+        if (setAside && record['Notes']) {
+          _appendToDescription(file, String(record['Notes']));
+        }
+        moved = _moveFileToDestination(file, { newFilename, destinationFolder, createMissingFolders: setAside }, runContext);
+      }
+      const errorNote = 'Destination could not be used. Check the path and approve again.';
+      _updateSheetRecord(sheet, record.rowNumber, {
+        'Status': moved ? 'APPLIED' : 'ERROR',
+        'Notes': moved ? `Applied ${new Date().toISOString()}` : errorNote
+      });
+      const outcome = destinationFolder === QUARANTINE_FOLDER_PATH ? 'QUARANTINED'
+        : destinationFolder === TRASH_DESTINATION || destinationFolder === DUPLICATES_FOLDER_PATH ? 'DUPLICATE' : 'ORGANIZED';
+      _logActivity(runContext, file, activity, moved
+        ? { outcome: outcome, destination: destinationFolder, source: source, details: 'Approved on the review sheet' }
+        : { outcome: 'FAILED', destination: '', source: source, details: `Review row ${record.rowNumber}: ${errorNote}` });
+      if (moved) {
+        if (contentIndex && !setAside) {
+          _addToContentIndex(contentIndex, file, { md5: _getMd5Checksum(file) }, destinationFolder);
+        }
+        appliedCount++;
+      }
+    } catch (e) {
+      Logger.log(`Error applying review row ${record.rowNumber}: ${e.toString()}`);
+      _updateSheetRecord(sheet, record.rowNumber, { 'Status': 'ERROR', 'Notes': e.toString() });
+      if (file) {
+        _logActivity(runContext, file, activity, { outcome: 'FAILED', destination: '', source: source, details: `Review row ${record.rowNumber}: ${e.toString()}` });
+      }
+    }
+  });
+
+  _saveUndoJournalEntries(runContext.undoJournal);
+  if (runContext.activityLog) {
+    _appendActivityLog(runContext.activityLog);
+  }
+  if (appliedCount > 0) {
+    if (contentIndex) {
+      _saveContentIndex(contentIndex);
+    }
+    Logger.log(`Applied ${appliedCount} reviewed suggestion(s).`);
+  }
+}
+
+/**
+ * Sorts the files on the review sheet by the status of their latest row. PENDING and APPROVED files
+ * are pending; REJECTED files are left where they are and never suggested again. Files whose latest
+ * row is ERROR or APPLIED are in neither set, so one still in an inbox is suggested again.
+ * @returns {{pending: Set<string>, rejected: Set<string>}}
+ */
+function _getReviewedFileIds() {
+  const sheet = _getOrganizerSheet(REVIEW_SHEET_NAME, REVIEW_SHEET_HEADERS);
+  const latestStatuses = new Map();
+  _readSheetRecords(sheet).forEach(record => {
+    latestStatuses.set(String(record['File ID']), String(record['Status']).trim().toUpperCase());
+  });
+  const reviewed = { pending: new Set(), rejected: new Set() };
+  latestStatuses.forEach((status, fileId) => {
+    if (status === 'PENDING' || status === 'APPROVED') {
+      reviewed.pending.add(fileId);
+    } else if (status === 'REJECTED') {
+      reviewed.rejected.add(fileId);
+    }
+  });
+  return reviewed;
+}
+
+/**
+ * @param {string} fileId
+ * @param {{pending: Set<string>, rejected: Set<string>}|null} reviewedIds - From _getReviewedFileIds,
+ *     or null outside review mode
+ * @returns {boolean} - True if the file awaits review or was rejected, so it must not be processed
+ */
+function _isHeldForReview(fileId, reviewedIds) {
+  return !!reviewedIds && (reviewedIds.pending.has(fileId) || reviewedIds.rejected.has(fileId));
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * ROUTING RULES
+ * -----------------------------------------------------------------------------
+ * Each row of the "Rules" tab is one rule. Empty condition cells are ignored; all filled-in
+ * conditions must match:
+ * - Name Pattern: regular expression tested against the original filename (case-insensitive).
+ *   Its capture groups can be used in templates as {1}, {2}, ...
+ * - MIME Type: comma-separated list, wildcards allowed (e.g. "image/*, application/pdf")
+ * - Owner: comma-separated owner email addresses
+ * - Min Size MB / Max Size MB: file size bounds
+ * - Created After / Created Before: creation date bounds
+ * - Keywords: comma-separated words that must all appear in the extracted text
+ * Destination and Rename are templates, e.g. "/Finance/Invoices/{created:YYYY}" and
+ * "{created:YYYY-MM-DD} {name}". Available fields: {name} (without extension), {ext}, {filename},
+ * {mimeType}, {owner}, {created}, {modified}, {today} and the capture groups. A blank Rename keeps
+ * the original filename. The destination must be in the inbox's scope, and missing folders in it
+ * are only created when Create Folders is TRUE; otherwise it is resolved like an AI suggestion.
+ */
+
+const RULES_SHEET_NAME = 'Rules';
+const RULES_SHEET_HEADERS = [
+  'Enabled', 'Name', 'Name Pattern', 'MIME Type', 'Owner', 'Min Size MB', 'Max Size MB',
+  'Created After', 'Created Before', 'Keywords', 'Destination', 'Rename', 'Create Folders'
+];
+
+/**
+ * Logs which rule (if any) matches each file currently in the source folder, without moving
+ * anything. Use it to check new rules before enabling ROUTING_RULES_ENABLED.
+ */
+function DEBUG_TEST_ROUTING_RULES() {
+  const rules = _loadRoutingRules();
+  Logger.log(`Loaded ${rules.length} enabled rule(s).`);
+  const inboxes = _getInboxes();
+  if (inboxes.length === 0) {
+    Logger.log("Source folder not found.");
+    return;
+  }
+  inboxes.forEach(inbox => {
+    const files = inbox.folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      const match = _matchRoutingRule(file, rules, () => {
+        const content = _extractContent(file);
+        return content && content.text ? content.text : '';
+      }, inbox.scope);
+      Logger.log(match
+        ? `'${file.getName()}' → ${match.source}: '${match.newFilename}' in '${match.destinationFolder}'`
+        : `'${file.getName()}' → no rule matches (AI would be used)`);
+    }
+  });
+}
+
+/**
+ * Reads the enabled rules from the Rules tab. Rows with an invalid pattern or no destination are
+ * logged and skipped.
+ * @returns {Object[]}
+ */
+function _loadRoutingRules() {
+  const sheet = _getOrganizerSheet(RULES_SHEET_NAME, RULES_SHEET_HEADERS);
+  const splitList = value => String(value || '').split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+  const isChecked = value => value === true || String(value).trim().toUpperCase() === 'TRUE';
+  const rules = [];
+
+  _readSheetRecords(sheet).forEach(record => {
+    if (!isChecked(record['Enabled'])) return;
+
+    const name = String(record['Name'] || `Row ${record.rowNumber}`);
+    if (!String(record['Destination'] || '').trim()) {
+      Logger.log(`Skipping rule '${name}': it has no Destination.`);
+      return;
+    }
+    let namePattern = null;
+    if (String(record['Name Pattern'] || '').trim()) {
+      try {
+        namePattern = new RegExp(String(record['Name Pattern']).trim(), 'i');
+      } catch (e) {
+        Logger.log(`Skipping rule '${name}': invalid Name Pattern (${e.message}).`);
+        return;
+      }
+    }
+
+    rules.push({
+      name: name,
+      namePattern: namePattern,
+      mimeTypes: splitList(record['MIME Type']),
+      owners: splitList(record['Owner']),
+      minSizeMB: record['Min Size MB'] === '' ? null : Number(record['Min Size MB']),
+      maxSizeMB: record['Max Size MB'] === '' ? null : Number(record['Max Size MB']),
+      createdAfter: record['Created After'] ? new Date(record['Created After']) : null,
+      createdBefore: record['Created Before'] ? new Date(record['Created Before']) : null,
+      keywords: splitList(record['Keywords']),
+      destination: String(record['Destination']).trim(),
+      rename: String(record['Rename'] || '').trim(),
+      createFolders: isChecked(record['Create Folders'])
+    });
+  });
+  return rules;
+}
+
+/**
+ * Returns the suggestion of the first rule that matches the file, or null if none does.
+ * Cheap metadata conditions are checked before keywords, which need the file's text. A rule whose
+ * destination falls outside the inbox's scope is skipped.
+ *
+ * @param {File} file - The Google Drive file
+ * @param {Object[]} rules - Rules from _loadRoutingRules
+ * @param {function(): string} getText - Returns the file's extracted text (called at most when needed)
+ * @param {string[]} scope - Scope patterns of the file's inbox; empty allows every folder
+ * @returns {{newFilename: string, destinationFolder: string, source: string, createMissingFolders: boolean}|null}
+ */
+function _matchRoutingRule(file, rules, getText, scope) {
+  if (!rules || rules.length === 0) return null;
+
+  const filename = file.getName();
+  const mimeType = file.getMimeType().toLowerCase();
+  const sizeMB = file.getSize() / 1024 / 1024;
+  const created = file.getDateCreated();
+  let owner = '';
+  try {
+    owner = file.getOwner() ? file.getOwner().getEmail().toLowerCase() : '';
+  } catch (e) {
+    // Files in shared drives have no owner
+  }
+  let text = null;
+
+  for (const rule of rules) {
+    const nameMatch = rule.namePattern ? filename.match(rule.namePattern) : [];
+    if (!nameMatch) continue;
+    if (rule.mimeTypes.length > 0 && !rule.mimeTypes.some(pattern => _matchesWildcard(mimeType, pattern))) continue;
+    if (rule.owners.length > 0 && rule.owners.indexOf(owner) === -1) continue;
+    if (rule.minSizeMB !== null && sizeMB < rule.minSizeMB) continue;
+    if (rule.maxSizeMB !== null && sizeMB > rule.maxSizeMB) continue;
+    if (rule.createdAfter && created < rule.createdAfter) continue;
+    if (rule.createdBefore && created > rule.createdBefore) continue;
+    if (rule.keywords.length > 0) {
+      if (text === null) text = getText().toLowerCase();
+      if (!rule.keywords.every(keyword => text.indexOf(keyword) !== -1)) continue;
+    }
+
+    const extensionMatch = filename.match(/\.([^.]+)$/);
+    const values = {
+      filename: filename,
+      name: extensionMatch ? filename.substring(0, filename.length - extensionMatch[0].length) : filename,
+      ext: extensionMatch ? extensionMatch[1] : '',
+      mimeType: mimeType,
+      owner: owner,
+      created: created,
+      modified: file.getLastUpdated(),
+      today: new Date()
+    };
+    nameMatch.forEach((group, index) => {
+      if (index > 0) values[index] = group || '';
+    });
+
+    const destinationFolder = _normalizeFolderPath(_renderTemplate(rule.destination, values));
+    if (!_isPathInScope(destinationFolder, scope)) {
+      Logger.log(`File '${filename}' matched routing rule '${rule.name}', but '${destinationFolder}' is outside the inbox's scope. Trying the next rule.`);
+      continue;
+    }
+    const newFilename = rule.rename ? _renderTemplate(rule.rename, values) : filename;
+    Logger.log(`File '${filename}' matched routing rule '${rule.name}'.`);
+    return {
+      newFilename: newFilename || filename,
+      destinationFolder: destinationFolder,
+      source: `rule: ${rule.name}`,
+      createMissingFolders: rule.createFolders
+    };
+  }
+  return null;
+}
+
+/**
+ * Fills a template such as "{created:YYYY-MM-DD} {name}". Date values are formatted with the
+ * pattern after the colon (default YYYY-MM-DD); missing values render as empty strings and the
+ * resulting extra whitespace is collapsed.
+ * @param {string} template
+ * @param {Object} values - Field values keyed by name
+ * @returns {string}
+ */
+function _renderTemplate(template, values) {
+  return template.replace(/\{([^{}:]+)(?::([^{}]+))?\}/g, (placeholder, key, format) => {
+    const value = values[key.trim()];
+    if (value === undefined || value === null) return '';
+    if (Object.prototype.toString.call(value) === '[object Date]') return _formatTemplateDate(value, format || 'YYYY-MM-DD');
+    return String(value);
+  }).replace(/\s{2,}/g, ' ').trim();
+}
+
+/**
+ * Formats a date with a template pattern. Accepts the familiar YYYY/DD tokens as well as the
+ * yyyy/dd tokens of Utilities.formatDate.
+ * @param {Date} date
+ * @param {string} pattern - e.g. "YYYY-MM-DD"
+ * @returns {string}
+ */
+function _formatTemplateDate(date, pattern) {
+  const javaPattern = pattern.replace(/Y/g, 'y').replace(/D/g, 'd');
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), javaPattern);
+}
+
+/**
+ * Case-sensitive match of a value against a pattern where "*" matches any run of characters.
+ * @param {string} value
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function _matchesWildcard(value, pattern) {
+  const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(value);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * FOLDER CONTEXT
+ * -----------------------------------------------------------------------------
+ * The prompt describes each candidate folder with its FOLDER_GUIDANCE note or Drive description
+ * and a few filenames already in it, one line per folder. On Drives with more than
+ * MAX_PROMPT_FOLDERS folders, only the folders whose words best match the document are listed.
+ */
+
+const FOLDER_DESCRIPTION_MAX_LENGTH = 150; // Longer descriptions are cut short in the prompt
+const CANDIDATE_TEXT_MAX_LENGTH = 20000; // Only the start of long documents is used to pick candidates
+
+/**
+ * Lists the folders the AI may choose from, one per line, e.g.
+ * `/Tax Returns — Only tax returns, one subfolder per year (e.g. "2023 Federal Return.pdf")`.
+ * @param {Map<string, Object>} folders - The scoped folder cache
+ * @param {File} file - The file being organized
+ * @param {Object} content - Its content from _extractContent
+ * @returns {string}
+ */
+function _describeCandidateFolders(folders, file, content) {
+  return _selectCandidateFolders(folders, file, content).map(folder => {
+    let line = folder.path;
+    const note = FOLDER_GUIDANCE[folder.path] || folder.description;
+    if (note) {
+      const compactNote = String(note).replace(/\s+/g, ' ').trim();
+      line += ` — ${compactNote.length > FOLDER_DESCRIPTION_MAX_LENGTH ? compactNote.substring(0, FOLDER_DESCRIPTION_MAX_LENGTH) + '…' : compactNote}`;
+    }
+    const samples = (folder.samples || []).slice(0, FOLDER_SAMPLE_FILENAMES);
+    if (samples.length > 0) {
+      line += ` (e.g. ${samples.map(name => JSON.stringify(name)).join(', ')})`;
+    }
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Returns every folder, or on large Drives the MAX_PROMPT_FOLDERS folders whose path, guidance,
+ * description and sample filenames share the most words with the document's name and text.
+ * Ties go to shallower folders, which are the broadest fallbacks.
+ * @param {Map<string, Object>} folders - The scoped folder cache
+ * @param {File} file - The file being organized
+ * @param {Object} content - Its content from _extractContent
+ * @returns {Array<Object>} - Folder cache entries, in path order
+ */
+function _selectCandidateFolders(folders, file, content) {
+  const allFolders = Array.from(folders.values());
+  if (allFolders.length <= MAX_PROMPT_FOLDERS) {
+    return allFolders;
+  }
+
+  const documentWords = new Set(_keywords(`${file.getName()} ${content && content.text ? content.text.substring(0, CANDIDATE_TEXT_MAX_LENGTH) : ''}`));
+  const scored = allFolders.map(folder => {
+    const folderWords = new Set(_keywords([folder.path, FOLDER_GUIDANCE[folder.path] || '', folder.description || '']
+      .concat(folder.samples || []).join(' ')));
+    let matches = 0;
+    folderWords.forEach(word => {
+      if (documentWords.has(word)) matches++;
+    });
+    return { folder: folder, score: folderWords.size > 0 ? matches / Math.sqrt(folderWords.size) : 0, depth: folder.path.split('/').length };
+  });
+  scored.sort((a, b) => b.score - a.score || a.depth - b.depth);
+  Logger.log(`Narrowed ${allFolders.length} folders to the ${MAX_PROMPT_FOLDERS} that best match '${file.getName()}'.`);
+  return scored.slice(0, MAX_PROMPT_FOLDERS).map(entry => entry.folder).sort((a, b) => a.path < b.path ? -1 : 1);
+}
+
+/**
+ * Splits text into lowercase words of three or more letters or digits, accents removed.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function _keywords(text) {
+  return String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= 3);
+}
+
+/**
+ * Lists up to FOLDER_SAMPLE_FILENAMES names of files in a folder, for the folder scan.
+ * @param {string} folderId
+ * @returns {string[]}
+ */
+function _listSampleFilenames(folderId) {
+  const names = [];
+  if (FOLDER_SAMPLE_FILENAMES <= 0) {
+    return names;
+  }
+  const files = DriveApp.getFolderById(folderId).getFiles();
+  while (files.hasNext() && names.length < FOLDER_SAMPLE_FILENAMES) {
+    names.push(files.next().getName());
+  }
+  return names;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * FILE NAMING
+ * -----------------------------------------------------------------------------
+ * AI suggestions are turned into filenames with FILENAME_TEMPLATE when it is set, and keep the
+ * AI's own filename otherwise. Every name, whether it comes from the AI, a routing rule or a review
+ * approval, is then made safe in _finalizeFilename before the file is renamed.
+ */
+
+const MAX_COLLISION_SUFFIX = 100; // Give up on COUNTER suffixes after this many and fall back to FILE_ID
+
+/**
+ * Builds the filename for an AI suggestion from FILENAME_TEMPLATE and the fields the model
+ * returned. Falls back to the model's own `newFilename` when the template is empty or renders
+ * nothing but the extension.
+ * @param {File} file - The file being organized
+ * @param {Object} result - The parsed suggestion, with `newFilename`, `title`, `date` and `vendor`
+ * @returns {string}
+ */
+function _buildFilename(file, result) {
+  if (!FILENAME_TEMPLATE) {
+    return result.newFilename;
+  }
+
+  const original = _splitFilename(file.getName());
+  const suggested = _splitFilename(String(result.newFilename || ''));
+  const dateMatch = String(result.date || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const values = {
+    title: result.title || suggested.base,
+    vendor: result.vendor || '',
+    date: dateMatch ? new Date(parseInt(dateMatch[1]), parseInt(dateMatch[2]) - 1, parseInt(dateMatch[3])) : null,
+    suggested: suggested.base,
+    original: original.base,
+    ext: original.ext,
+    created: file.getDateCreated(),
+    today: new Date()
+  };
+  const rendered = _renderTemplate(FILENAME_TEMPLATE, values);
+  const renderedBase = original.ext && rendered.endsWith(`.${original.ext}`) ? rendered.slice(0, -original.ext.length - 1) : rendered;
+  return _tidyFilenameBase(renderedBase) ? rendered : result.newFilename;
+}
+
+/**
+ * Makes a proposed name safe to apply in `targetFolder`: strips characters that are illegal on
+ * common file systems, keeps the file's original extension, caps the length at MAX_FILENAME_LENGTH
+ * and resolves clashes with other files in the folder using FILENAME_COLLISION_STRATEGY. Folders
+ * listed in KEEP_ORIGINAL_NAME_FOLDERS keep the current name (collisions are still resolved).
+ * @param {File} file - The file being renamed
+ * @param {string} proposedName - The name from the suggestion, rule or review
+ * @param {Folder} targetFolder - Where the file is going
+ * @param {string} targetPath - The path of targetFolder
+ * @returns {string}
+ */
+function _finalizeFilename(file, proposedName, targetFolder, targetPath) {
+  const currentName = file.getName();
+  if (KEEP_ORIGINAL_NAME_FOLDERS.length > 0 && _isPathInScope(targetPath, KEEP_ORIGINAL_NAME_FOLDERS)) {
+    proposedName = currentName;
+  }
+
+  const original = _splitFilename(currentName);
+  const proposed = _splitFilename(String(proposedName || ''));
+  // Only strip what looks like an extension, so "Report v1.2" keeps its version number
+  let base = proposed.ext && /[a-z]/i.test(proposed.ext) ? proposed.base : String(proposedName || '');
+  base = _tidyFilenameBase(base) || _tidyFilenameBase(original.base) || 'Untitled';
+
+  const extension = original.ext ? `.${original.ext}` : '';
+  const maxBaseLength = Math.max(MAX_FILENAME_LENGTH - extension.length, 1);
+  if (base.length > maxBaseLength) {
+    base = _tidyFilenameBase(base.substring(0, maxBaseLength));
+  }
+
+  const isTaken = name => {
+    const matches = targetFolder.getFilesByName(name);
+    while (matches.hasNext()) {
+      if (matches.next().getId() !== file.getId()) return true;
+    }
+    return false;
+  };
+  const name = base + extension;
+  if (!isTaken(name)) {
+    return name;
+  }
+
+  const withSuffix = suffix => {
+    const trimmedBase = base.substring(0, Math.max(maxBaseLength - suffix.length, 1)).trim();
+    return `${trimmedBase}${suffix}${extension}`;
+  };
+  if (FILENAME_COLLISION_STRATEGY === 'TIMESTAMP') {
+    const stamped = withSuffix(` ${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd HHmmss')}`);
+    if (!isTaken(stamped)) return stamped;
+  } else if (FILENAME_COLLISION_STRATEGY !== 'FILE_ID') {
+    for (let counter = 2; counter <= MAX_COLLISION_SUFFIX; counter++) {
+      const numbered = withSuffix(` (${counter})`);
+      if (!isTaken(numbered)) return numbered;
+    }
+  }
+  return withSuffix(` [${file.getId().substring(0, 8)}]`);
+}
+
+/**
+ * Splits "Invoice 2024.pdf" into {base: "Invoice 2024", ext: "pdf"}. Names without a dot, and
+ * dotfiles such as ".env", have no extension.
+ * @param {string} filename
+ * @returns {{base: string, ext: string}}
+ */
+function _splitFilename(filename) {
+  const match = filename.match(/^(.+)\.([A-Za-z0-9]{1,10})$/);
+  return match ? { base: match[1], ext: match[2] } : { base: filename, ext: '' };
+}
+
+/**
+ * Removes characters that are illegal in Windows, macOS or Linux filenames, collapses whitespace
+ * and trims separators left dangling by empty template fields (e.g. " - Title").
+ * @param {string} base - A filename without its extension
+ * @returns {string}
+ */
+function _tidyFilenameBase(base) {
+  return String(base)
+    .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/(\s[-_–—]\s?)+(?=\s[-_–—]\s)/g, '')
+    .replace(/^[\s\-_–—.]+|[\s\-_–—.]+$/g, '');
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * METADATA EXTRACTION
+ * -----------------------------------------------------------------------------
+ * With METADATA_EXTRACTION_ENABLED the AI also classifies each document as one of the types in
+ * EXTRACTION_SCHEMAS and fills in that type's fields. Providers that support constrained output
+ * (`applyResponseSchema` in AI_PROVIDERS) are given a JSON schema so the answer always parses.
+ * The values are written to the file's Drive properties, which Drive search can query, and to a
+ * readable block at the end of its description.
+ */
+
+const METADATA_DESCRIPTION_HEADER = 'Extracted metadata:';
+const MAX_PROPERTY_BYTES = 124; // Drive's limit for a property's key and value together, in UTF-8 bytes
+
+/**
+ * Describes the fields to extract for the prompt, e.g. `invoice: vendor (text), amount (number)`.
+ * @returns {string}
+ */
+function _describeExtractionSchemas() {
+  return Object.keys(EXTRACTION_SCHEMAS).map(type => {
+    const fields = EXTRACTION_SCHEMAS[type];
+    return `${type}: ${Object.keys(fields).map(field => `${field} (${fields[field] === 'date' ? 'YYYY-MM-DD' : fields[field] === 'number' ? 'number' : 'text'})`).join(', ')}`;
+  }).join('\n');
+}
+
+/**
+ * Builds the JSON schema of a complete AI answer, in a provider-neutral form that
+ * _toGeminiSchema and _toOpenAiSchema adapt. Metadata fields of every document type are listed
+ * together and may be null, since only the chosen type's fields are filled.
+ * @returns {Object}
+ */
+function _buildSuggestionSchema() {
+  const metadataProperties = {};
+  Object.keys(EXTRACTION_SCHEMAS).forEach(type => {
+    Object.keys(EXTRACTION_SCHEMAS[type]).forEach(field => {
+      metadataProperties[field] = { type: EXTRACTION_SCHEMAS[type][field] === 'number' ? 'number' : 'string', nullable: true };
+    });
+  });
+  const string = { type: 'string' };
+  return {
+    type: 'object',
+    properties: {
+      newFilename: string,
+      title: string,
+      date: string,
+      vendor: string,
+      destinationFolder: string,
+      confidence: { type: 'number' },
+      reason: string,
+      alternativeFolders: { type: 'array', items: string },
+      documentType: { type: 'string', enum: Object.keys(EXTRACTION_SCHEMAS).concat(['other']) },
+      metadata: { type: 'object', properties: metadataProperties }
+    }
+  };
+}
+
+/**
+ * Converts a schema from _buildSuggestionSchema to Gemini's OpenAPI-style responseSchema.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function _toGeminiSchema(schema) {
+  const converted = { type: schema.type.toUpperCase() };
+  if (schema.nullable) converted.nullable = true;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = _toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    Object.keys(schema.properties).forEach(key => {
+      converted.properties[key] = _toGeminiSchema(schema.properties[key]);
+    });
+    converted.required = Object.keys(schema.properties).filter(key => !schema.properties[key].nullable);
+    converted.propertyOrdering = Object.keys(schema.properties);
+  }
+  return converted;
+}
+
+/**
+ * Converts a schema from _buildSuggestionSchema to a strict OpenAI JSON schema, where every
+ * property is required and nullable ones accept null instead.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+function _toOpenAiSchema(schema) {
+  const converted = { type: schema.nullable ? [schema.type, 'null'] : schema.type };
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.items) converted.items = _toOpenAiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = {};
+    Object.keys(schema.properties).forEach(key => {
+      converted.properties[key] = _toOpenAiSchema(schema.properties[key]);
+    });
+    converted.required = Object.keys(schema.properties);
+    converted.additionalProperties = false;
+  }
+  return converted;
+}
+
+function _applyGeminiResponseSchema(request, schema) {
+  const body = JSON.parse(request.options.payload);
+  body.generationConfig = Object.assign(body.generationConfig || {}, {
+    responseMimeType: 'application/json',
+    responseSchema: _toGeminiSchema(schema)
+  });
+  request.options.payload = JSON.stringify(body);
+}
+
+function _applyOpenAiResponseSchema(request, schema) {
+  const body = JSON.parse(request.options.payload);
+  body.response_format = {
+    type: 'json_schema',
+    json_schema: { name: 'file_suggestion', strict: true, schema: _toOpenAiSchema(schema) }
+  };
+  request.options.payload = JSON.stringify(body);
+}
+
+/**
+ * Keeps only the fields defined for the chosen document type, dropping empty values.
+ * @param {string} documentType - A key of EXTRACTION_SCHEMAS, or "other"
+ * @param {Object} metadata - The `metadata` object of the AI answer
+ * @returns {Object|null} - Field values by name, or null for unknown types
+ */
+function _cleanExtractedMetadata(documentType, metadata) {
+  const fields = EXTRACTION_SCHEMAS[documentType];
+  if (!fields || !metadata || typeof metadata !== 'object') {
+    return null;
+  }
+  const cleaned = {};
+  Object.keys(fields).forEach(field => {
+    const value = metadata[field];
+    if (value === null || value === undefined || value === '') return;
+    if (fields[field] === 'number') {
+      const number = parseFloat(String(value).replace(/[^\d.\-]/g, ''));
+      if (!isNaN(number)) cleaned[field] = number;
+    } else {
+      cleaned[field] = String(value).trim();
+    }
+  });
+  return cleaned;
+}
+
+/**
+ * Writes a suggestion's extracted metadata to the file: as Drive properties (with the Drive API
+ * advanced service) and as a block at the end of the description, replacing an earlier block.
+ * Failures are logged and never stop the file from being organized.
+ * @param {File} file
+ * @param {Object} result - The suggestion, with `documentType` and `metadata`
+ */
+function _writeExtractedMetadata(file, result) {
+  if (!result.metadata) {
+    return;
+  }
+  const values = Object.assign({ documentType: result.documentType }, result.metadata);
+  try {
+    if (typeof Drive !== 'undefined') {
+      const properties = {};
+      Object.keys(values).forEach(key => {
+        const valueBytes = MAX_PROPERTY_BYTES - _utf8Length(key);
+        if (valueBytes > 0) {
+          properties[key] = _truncateUtf8(String(values[key]), valueBytes);
+        }
+      });
+      Drive.Files.update({ properties: properties }, file.getId(), null, { supportsAllDrives: true });
+    }
+
+    const description = (file.getDescription() || '').split(`\n\n${METADATA_DESCRIPTION_HEADER}`)[0];
+    const block = [METADATA_DESCRIPTION_HEADER].concat(Object.keys(values).map(key => `${key}: ${values[key]}`)).join('\n');
+    file.setDescription(description && description.indexOf(METADATA_DESCRIPTION_HEADER) !== 0 ? `${description}\n\n${block}` : block);
+  } catch (e) {
+    Logger.log(`Could not write metadata to '${file.getName()}': ${e.toString()}`);
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {number} - The length of the text in UTF-8 bytes
+ */
+function _utf8Length(text) {
+  let length = 0;
+  for (const character of text) {
+    const codePoint = character.codePointAt(0);
+    length += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return length;
+}
+
+/**
+ * Cuts text to at most `maxBytes` UTF-8 bytes without splitting a character.
+ * @param {string} text
+ * @param {number} maxBytes
+ * @returns {string}
+ */
+function _truncateUtf8(text, maxBytes) {
+  let length = 0;
+  let end = 0;
+  for (const character of text) {
+    length += _utf8Length(character);
+    if (length > maxBytes) break;
+    end += character.length;
+  }
+  return text.substring(0, end);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * UNDO JOURNAL
+ * -----------------------------------------------------------------------------
+ */
+
+const UNDO_JOURNAL_FILE = 'undo-journal.json';
+
+/**
+ * Reverts every change made by the most recent run that has not been undone yet. Changes that could
+ * not be undone before (see _undoJournalEntries) no longer count.
+ */
+function UNDO_LAST_RUN() {
+  const journal = _loadDataFile(UNDO_JOURNAL_FILE, []);
+  const lastEntry = journal.slice().reverse().find(_isUndoJournalEntryOpen);
+  if (!lastEntry) {
+    Logger.log("Nothing to undo: the journal has no changes that have not already been undone.");
+    return;
+  }
+  Logger.log(`Undoing run ${lastEntry.runId} (last change at ${lastEntry.timestamp})...`);
+  _undoJournalEntries(entry => entry.runId === lastEntry.runId);
+}
+
+/**
+ * Reverts the most recent change made to one file.
+ * Call it from the editor or a wrapper function, e.g. `UNDO_FILE("1AbC...xyz")`.
+ * @param {string} fileId - The Drive ID of the file to restore
+ */
+function UNDO_FILE(fileId) {
+  if (!fileId) {
+    Logger.log("UNDO_FILE needs a file ID, e.g. UNDO_FILE('1AbC...xyz').");
+    return;
+  }
+  const journal = _loadDataFile(UNDO_JOURNAL_FILE, []);
+  const lastEntry = journal.slice().reverse().find(entry => entry.fileId === fileId && _isUndoJournalEntryOpen(entry));
+  if (!lastEntry) {
+    Logger.log(`Nothing to undo for file ${fileId}.`);
+    return;
+  }
+  _undoJournalEntries(entry => entry.fileId === lastEntry.fileId && entry.timestamp === lastEntry.timestamp);
+}
+
+/**
+ * Reverts every change made at or after the given time, newest first.
+ * Call it from the editor or a wrapper function, e.g. `UNDO_SINCE("2025-07-21T09:00:00")`.
+ * @param {Date|string|number} timestamp - A Date, an ISO date string or milliseconds since epoch
+ */
+function UNDO_SINCE(timestamp) {
+  const since = new Date(timestamp);
+  if (timestamp === undefined || isNaN(since.getTime())) {
+    Logger.log("UNDO_SINCE needs a valid date, e.g. UNDO_SINCE('2025-07-21T09:00:00').");
+    return;
+  }
+  Logger.log(`Undoing all changes since ${since.toISOString()}...`);
+  _undoJournalEntries(entry => new Date(entry.timestamp).getTime() >= since.getTime());
+}
+
+/**
+ * Appends the changes of a run to the undo journal in one write, trimming the oldest entries beyond
+ * the limit.
+ * @param {Array<Object>} entries - {runId, timestamp, fileId, oldName, oldParentIds, newName,
+ *     newFolderId, newFolderPath, summary, excerpt}, and `trashed` for duplicates that were put in
+ *     the trash. `summary` and `excerpt` describe the document for LEARNING FROM CORRECTIONS.
+ */
+function _saveUndoJournalEntries(entries) {
+  if (entries.length === 0) return;
+  try {
+    const journal = _loadDataFile(UNDO_JOURNAL_FILE, []).concat(entries);
+    if (journal.length > UNDO_JOURNAL_MAX_ENTRIES) {
+      journal.splice(0, journal.length - UNDO_JOURNAL_MAX_ENTRIES);
+    }
+    _saveDataFile(UNDO_JOURNAL_FILE, journal);
+  } catch (e) {
+    Logger.log(`Error writing ${entries.length} change(s) to the undo journal: ${e.toString()}`);
+  }
+}
+
+/**
+ * @param {Object} entry - An undo journal entry
+ * @returns {boolean} - False once the entry was undone, or found impossible to undo
+ */
+function _isUndoJournalEntryOpen(entry) {
+  return !entry.undoneAt && !entry.skippedAt;
+}
+
+/**
+ * Undoes all journal entries matching the predicate, newest first, and marks them as undone.
+ * Entries that cannot be undone (the file was deleted, trashed or moved again since) are marked as
+ * skipped with the reason, so later undos move on to older changes instead of retrying them.
+ * Holds the script lock so a processing run cannot move files at the same time.
+ * @param {function(Object): boolean} predicate - Selects the entries to undo
+ */
+function _undoJournalEntries(predicate) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30 * 1000)) {
+    Logger.log("Could not acquire lock, another instance is likely running. Try again shortly.");
+    return;
+  }
+  try {
+    const journal = _loadDataFile(UNDO_JOURNAL_FILE, []);
+    let undoneCount = 0;
+    let skippedCount = 0;
+
+    for (let i = journal.length - 1; i >= 0; i--) {
+      const entry = journal[i];
+      if (!_isUndoJournalEntryOpen(entry) || !predicate(entry)) continue;
+
+      const note = _undoJournalEntry(entry);
+      if (note) {
+        skippedCount++;
+        entry.skippedAt = new Date().toISOString();
+        entry.undoNote = note;
+        Logger.log(`Could not undo change to file ${entry.fileId}: ${note}`);
+      } else {
+        undoneCount++;
+        entry.undoneAt = new Date().toISOString();
+      }
+    }
+
+    _saveDataFile(UNDO_JOURNAL_FILE, journal);
+    Logger.log(`Undo complete. Restored ${undoneCount} file(s), skipped ${skippedCount}.`);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Puts one file back where the journal entry found it. The original name is only restored if the
+ * file still has the name the script gave it, and the file is only moved if it is still in the
+ * folder the script put it in, so later manual changes are kept. If none of the original parent
+ * folders exist any more, the file is returned to the source folder. A trashed duplicate is taken
+ * out of the trash, which returns it to the folder it was in.
+ *
+ * @param {Object} entry - The journal entry to revert
+ * @returns {string|null} - null on success, otherwise the reason the entry was skipped
+ */
+function _undoJournalEntry(entry) {
+  let file;
+  try {
+    file = DriveApp.getFileById(entry.fileId);
+  } catch (e) {
+    return 'file no longer exists or is not accessible';
+  }
+  if (entry.trashed) {
+    if (!file.isTrashed()) {
+      return 'file has been taken out of the trash since, leaving it where it is';
+    }
+    file.setTrashed(false);
+    Logger.log(`Restored '${file.getName()}' from the trash.`);
+    return null;
+  }
+  if (file.isTrashed()) {
+    return 'file is in the trash';
+  }
+  if (_getParentIds(file).indexOf(entry.newFolderId) === -1) {
+    return `file has been moved out of '${entry.newFolderPath}' since, leaving it where it is`;
+  }
+
+  let restoreName = entry.oldName;
+  if (file.getName() !== entry.newName) {
+    restoreName = file.getName();
+    Logger.log(`File '${file.getName()}' was renamed by hand after being organized. Keeping its current name.`);
+  }
+
+  let restoreFolder = null;
+  for (const parentId of entry.oldParentIds || []) {
+    try {
+      const folder = DriveApp.getFolderById(parentId);
+      if (!folder.isTrashed()) {
+        restoreFolder = folder;
+        break;
+      }
+    } catch (e) {
+      // Folder was deleted since; try the next parent
+    }
+  }
+  if (!restoreFolder) {
+    const inboxes = _getInboxes();
+    restoreFolder = inboxes.length > 0 ? inboxes[0].folder : DriveApp.getRootFolder();
+    Logger.log(`Original folder of '${file.getName()}' no longer exists. Restoring it to '${restoreFolder.getName()}' instead.`);
+  }
+
+  _moveFile(file, restoreName, restoreFolder.getId());
+  Logger.log(`Restored '${restoreName}' to '${restoreFolder.getName()}'.`);
+  return null;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * LEARNING FROM CORRECTIONS
+ * -----------------------------------------------------------------------------
+ * A file counts as corrected when its latest undo journal entry has not been undone and the file
+ * now sits in a different cached folder than the one the organizer moved it to. Files moved out of
+ * the quarantine folder count too, as the answer the AI could not give. Each correction keeps the
+ * document's filename, the AI's summary of it and the start of its text (both recorded in the undo
+ * journal when the file was filed) with the right folder, and is shown to the AI when a similar
+ * file comes in. Words that the texts of several corrections share become proposed rule Keywords.
+ */
+
+const CORRECTIONS_FILE = 'corrections.json';
+const MAX_STORED_CORRECTIONS = 500;   // Oldest corrections are dropped beyond this
+const CORRECTION_CHECK_SECONDS = 60;  // Time spent per refresh checking filed files, newest first
+const CORRECTION_EXCERPT_LENGTH = 200; // Characters of text kept per filed file
+const MAX_LEARNED_KEYWORDS = 5;       // Shared words used as a proposed rule's Keywords
+
+/**
+ * Checks recently filed files for manual corrections now, instead of waiting for the next folder
+ * cache refresh.
+ */
+function DETECT_MANUAL_CORRECTIONS() {
+  const newCount = _detectManualCorrections();
+  Logger.log(`Found ${newCount} new correction(s); ${_loadDataFile(CORRECTIONS_FILE, []).length} stored in total.`);
+}
+
+/**
+ * Compares the folder each recently filed file was moved to with the folder it is in now, stores
+ * new corrections and proposes rules for folders that keep being corrected into.
+ * @returns {number} - The number of new corrections
+ */
+function _detectManualCorrections() {
+  const startTime = new Date().getTime();
+  const cutoff = startTime - CORRECTION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+  const foldersById = new Map();
+  _loadFolderCache().forEach(folder => foldersById.set(folder.id, folder));
+  const corrections = _loadDataFile(CORRECTIONS_FILE, []);
+  const journal = _loadDataFile(UNDO_JOURNAL_FILE, []);
+
+  const checkedFileIds = new Set();
+  let newCount = 0;
+  for (let i = journal.length - 1; i >= 0; i--) {
+    const entry = journal[i];
+    if (new Date(entry.timestamp).getTime() < cutoff) break;
+    // Only the latest change to a file says where the organizer left it
+    if (checkedFileIds.has(entry.fileId)) continue;
+    checkedFileIds.add(entry.fileId);
+    if (entry.undoneAt || entry.trashed || entry.newFolderPath === DUPLICATES_FOLDER_PATH) continue;
+    if (new Date().getTime() - startTime > CORRECTION_CHECK_SECONDS * 1000) {
+      Logger.log(`Stopped checking for corrections after ${CORRECTION_CHECK_SECONDS} seconds. Older files were not checked.`);
+      break;
+    }
+
+    let file;
+    try {
+      file = DriveApp.getFileById(entry.fileId);
+      if (file.isTrashed()) continue;
+    } catch (e) {
+      continue; // Deleted, or no longer shared with this account
+    }
+    const parentIds = _getParentIds(file);
+    if (parentIds.indexOf(entry.newFolderId) !== -1) continue;
+    // Files moved back to an inbox or outside the organized folders say nothing about placement
+    const correctFolder = parentIds.map(id => foldersById.get(id)).find(folder => folder);
+    if (!correctFolder) continue;
+
+    const previous = corrections.findIndex(correction => correction.fileId === entry.fileId);
+    if (previous !== -1) {
+      if (corrections[previous].correctFolderId === correctFolder.id) continue;
+      corrections.splice(previous, 1);
+    }
+    corrections.push({
+      fileId: entry.fileId,
+      name: file.getName(),
+      summary: entry.summary || '',
+      excerpt: entry.excerpt || '',
+      filedFolder: entry.newFolderPath,
+      correctFolder: correctFolder.path,
+      correctFolderId: correctFolder.id,
+      detectedAt: new Date().toISOString()
+    });
+    newCount++;
+    Logger.log(`Learned a correction: '${file.getName()}' was filed in '${entry.newFolderPath}' but moved to '${correctFolder.path}'.`);
+  }
+
+  if (newCount === 0) {
+    return 0;
+  }
+  if (corrections.length > MAX_STORED_CORRECTIONS) {
+    corrections.splice(0, corrections.length - MAX_STORED_CORRECTIONS);
+  }
+  _saveDataFile(CORRECTIONS_FILE, corrections);
+  if (CORRECTION_RULE_MIN_COUNT > 0) {
+    try {
+      _proposeRulesFromCorrections(corrections);
+    } catch (e) {
+      Logger.log(`Error proposing rules from corrections: ${e.toString()}`);
+    }
+  }
+  return newCount;
+}
+
+/**
+ * Lists the stored corrections most similar to the document, for the prompt, e.g.
+ * `"ACME Invoice 1042.pdf" (Consulting invoice from ACME Corp) → /Clients/ACME (not /Finance)`.
+ * Similarity counts the words the document shares with each correction's filename, summary and
+ * excerpt. Only corrections into folders the AI may choose from are used.
+ * @param {Object} runContext - Provides `corrections` and the scoped folder cache (`folders`)
+ * @param {File} file - The file being organized
+ * @param {Object} content - Its content from _extractContent
+ * @returns {string} - One correction per line, or '' if none shares a word with the document
+ */
+function _describeCorrectionExamples(runContext, file, content) {
+  const corrections = (runContext.corrections || []).filter(correction => runContext.folders.has(correction.correctFolder));
+  if (corrections.length === 0 || MAX_CORRECTION_EXAMPLES <= 0) {
+    return '';
+  }
+
+  const documentWords = new Set(_keywords(`${file.getName()} ${content && content.text ? content.text.substring(0, CANDIDATE_TEXT_MAX_LENGTH) : ''}`));
+  return corrections
+    .map((correction, index) => ({
+      correction: correction,
+      index: index,
+      score: _correctionKeywords(`${correction.name} ${correction.summary || ''} ${correction.excerpt || ''}`)
+        .filter(word => documentWords.has(word)).length
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.index - a.index) // Ties go to the latest detected
+    .slice(0, MAX_CORRECTION_EXAMPLES)
+    .map(entry => {
+      const correction = entry.correction;
+      const filedIn = _isReservedFolderPath(correction.filedFolder) ? '' : ` (not ${correction.filedFolder})`;
+      const about = correction.summary || (correction.excerpt ? `${correction.excerpt.substring(0, 100)}...` : '');
+      return `${JSON.stringify(correction.name)}${about ? ` (${about})` : ''} → ${correction.correctFolder}${filedIn}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Appends a disabled rule to the Rules tab for each folder with at least CORRECTION_RULE_MIN_COUNT
+ * corrections whose text excerpts share words. Keywords are matched against the document text, so
+ * the shared words of the texts (not the filenames) become the rule's Keywords. A folder that
+ * already has a proposal, enabled or not, is left alone, so edits to a proposal stick.
+ * @param {Object[]} corrections - All stored corrections
+ */
+function _proposeRulesFromCorrections(corrections) {
+  const byFolder = new Map();
+  corrections.forEach(correction => {
+    if (!correction.excerpt) return;
+    if (!byFolder.has(correction.correctFolder)) byFolder.set(correction.correctFolder, []);
+    byFolder.get(correction.correctFolder).push(correction);
+  });
+
+  let sheet = null;
+  let ruleNames = null;
+  byFolder.forEach((group, folderPath) => {
+    if (group.length < CORRECTION_RULE_MIN_COUNT) return;
+    // Only words that appear as written are kept, as rules look for keywords in the lowercased text
+    const sharedWords = group.map(correction => {
+      const text = correction.excerpt.toLowerCase();
+      return _correctionKeywords(text).filter(word => text.indexOf(word) !== -1);
+    }).reduce((shared, words) => shared.filter(word => words.indexOf(word) !== -1))
+      .sort((a, b) => b.length - a.length) // Longer words tend to be the more specific ones
+      .slice(0, MAX_LEARNED_KEYWORDS);
+    if (sharedWords.length === 0) return;
+
+    if (!sheet) {
+      sheet = _getOrganizerSheet(RULES_SHEET_NAME, RULES_SHEET_HEADERS);
+      ruleNames = new Set(_readSheetRecords(sheet).map(record => String(record['Name'])));
+    }
+    const ruleName = `Learned: ${folderPath}`;
+    if (ruleNames.has(ruleName)) return;
+    const values = { 'Enabled': false, 'Name': ruleName, 'Keywords': sharedWords.join(', '), 'Destination': folderPath };
+    sheet.appendRow(RULES_SHEET_HEADERS.map(header => header in values ? values[header] : ''));
+    ruleNames.add(ruleName);
+    Logger.log(`Proposed rule '${ruleName}' (keywords: ${sharedWords.join(', ')}) from ${group.length} corrections. Set its Enabled cell to TRUE to use it.`);
+  });
+}
+
+/**
+ * @param {string} text - A filename, summary or excerpt
+ * @returns {string[]} - The distinct words of the text, ignoring plain numbers such as years and
+ *     invoice numbers, which rarely carry over to the next file
+ */
+function _correctionKeywords(text) {
+  const words = _keywords(text).filter(word => !/^\d+$/.test(word));
+  return words.filter((word, index) => words.indexOf(word) === index);
+}
+
+/**
+ * Describes a document for the undo journal, so a later correction can say what it was about.
+ * @param {Object} result - The suggestion, with the AI's `title` and `reason` if it came from the AI
+ * @param {Object|undefined} content - The file's content from _extractContent, if it was extracted
+ * @returns {{summary: string, excerpt: string}}
+ */
+function _summarizeForCorrections(result, content) {
+  return {
+    summary: [result.title, result.reason].filter(part => part).join(': '),
+    excerpt: content && content.text ? content.text.replace(/\s+/g, ' ').trim().substring(0, CORRECTION_EXCERPT_LENGTH) : ''
+  };
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * CONTENT EXTRACTION
+ * -----------------------------------------------------------------------------
+ * Turns a Drive file into what the model is sent. Each extractor handles a family of MIME types and
+ * returns plain text; when no extractor applies, or it yields no text, the raw bytes are sent
+ * instead: inline up to INLINE_FILE_SIZE_LIMIT_MB, otherwise by upload up to MAX_FILE_SIZE_MB.
+ */
+
+const GOOGLE_DOCS_MIME_TYPE = 'application/vnd.google-apps.document';
+const GOOGLE_SHEETS_MIME_TYPE = 'application/vnd.google-apps.spreadsheet';
+const GOOGLE_SLIDES_MIME_TYPE = 'application/vnd.google-apps.presentation';
+
+const CONTENT_EXTRACTORS = [
+  { method: 'Google Docs export', matches: mimeType => mimeType === GOOGLE_DOCS_MIME_TYPE, extract: file => _exportGoogleFileText(file.getId(), 'text/plain') },
+  { method: 'Google Sheets export', matches: mimeType => mimeType === GOOGLE_SHEETS_MIME_TYPE, extract: file => _exportGoogleFileText(file.getId(), 'text/csv') },
+  { method: 'Google Slides export', matches: mimeType => mimeType === GOOGLE_SLIDES_MIME_TYPE, extract: file => _exportGoogleFileText(file.getId(), 'text/plain') },
+  { method: 'plain text', matches: mimeType => _isTextMimeType(mimeType), extract: file => _readTextExcerpt(file) },
+  { method: 'Office text', matches: mimeType => _isOfficeMimeType(mimeType), extract: file => _extractOfficeFileText(file) },
+  { method: 'OCR', matches: mimeType => /^image\//.test(mimeType) || mimeType === 'application/pdf', extract: file => _ocrFileText(file) }
+];
+
+/**
+ * Builds the content sent to the model for a file.
+ *
+ * @param {File} file - The Google Drive file
+ * @returns {Object|null} - {mimeType, text, truncated, extractionMethod, previewBlob, blob, base64Data,
+ *     driveFileId}. `text` is null when raw bytes are sent; `blob` is null (and `driveFileId` set)
+ *     when the file is too large to send inline. Returns null if the file must be skipped.
+ */
+function _extractContent(file) {
+  const mimeType = file.getMimeType();
+  const isNativeGoogleFile = mimeType.indexOf('application/vnd.google-apps.') === 0;
+  const maxChars = EXTRACTION_TOKEN_BUDGET * 4;
+
+  const extractor = CONTENT_EXTRACTORS.find(candidate => candidate.matches(mimeType));
+  if (extractor && (EXTRACT_TEXT_BEFORE_AI || isNativeGoogleFile)) {
+    try {
+      const text = (extractor.extract(file) || '').trim();
+      if (text) {
+        Logger.log(`Extracted ${text.length} characters from '${file.getName()}' via ${extractor.method}.`);
+        return {
+          mimeType: mimeType,
+          text: text.substring(0, maxChars),
+          truncated: text.length > maxChars,
+          extractionMethod: extractor.method,
+          previewBlob: INCLUDE_PREVIEW_IMAGE ? _getPreviewImage(file) : null,
+          blob: null,
+          base64Data: null,
+          driveFileId: null
+        };
+      }
+      Logger.log(`No text could be extracted from '${file.getName()}' via ${extractor.method}. Sending the file itself.`);
+    } catch (e) {
+      Logger.log(`Text extraction failed for '${file.getName()}' (${extractor.method}): ${e.toString()}. Sending the file itself.`);
+    }
+  }
+
+  // Fall back to the raw bytes, inline for small files and by reference for large ones
+  const fileSize = file.getSize();
+  const fileSizeMB = Math.round(fileSize/1024/1024 * 10) / 10; // Round to 1 decimal place
+  if (fileSize > MAX_FILE_SIZE_MB * 1024 * 1024) {
+    Logger.log(`File ${file.getName()} is too large (${fileSizeMB}MB). Maximum size is ${MAX_FILE_SIZE_MB}MB. Skipping.`);
+    return null;
+  }
+  if (fileSize > INLINE_FILE_SIZE_LIMIT_MB * 1024 * 1024) {
+    Logger.log(`File ${file.getName()} (${fileSizeMB}MB) is over the ${INLINE_FILE_SIZE_LIMIT_MB}MB inline limit and will be uploaded.`);
+    return {
+      mimeType: mimeType,
+      text: null,
+      truncated: false,
+      extractionMethod: null,
+      previewBlob: null,
+      blob: null,
+      base64Data: null,
+      driveFileId: file.getId()
+    };
+  }
+
+  try {
+    const blob = file.getBlob();
+    return {
+      mimeType: blob.getContentType(),
+      text: null,
+      truncated: false,
+      extractionMethod: null,
+      previewBlob: null,
+      blob: blob,
+      base64Data: Utilities.base64Encode(blob.getBytes()),
+      driveFileId: null
+    };
+  } catch (blobError) {
+    Logger.log(`Error getting file content for ${file.getName()}: ${blobError}. Skipping.`);
+    return null;
+  }
+}
+
+/**
+ * Formats extracted text for the prompt, noting how it was obtained and whether it was cut short.
+ * @param {Object} content - Result of _extractContent with `text` set
+ * @returns {string}
+ */
+function _describeExtractedText(content) {
+  const note = content.truncated ? `${content.extractionMethod}, truncated excerpt` : content.extractionMethod;
+  return `File content (${note}):\n${content.text}`;
+}
+
+/**
+ * Exports a native Google Docs/Sheets/Slides file to a text format through the Drive REST API.
+ * @param {string} fileId
+ * @param {string} exportMimeType - e.g. 'text/plain' or 'text/csv'
+ * @returns {string}
+ */
+function _exportGoogleFileText(fileId, exportMimeType) {
+  const response = UrlFetchApp.fetch(
+    `https://www.googleapis.com/drive/v3/files/${fileId}/export?mimeType=${encodeURIComponent(exportMimeType)}`,
+    { headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` }, muteHttpExceptions: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`Drive export failed with status ${response.getResponseCode()}: ${response.getContentText().substring(0, 200)}`);
+  }
+  return response.getContentText();
+}
+
+/**
+ * Reads the start of a text file. Large files are fetched with an HTTP Range request so only the
+ * excerpt that fits the token budget is downloaded.
+ * @param {File} file
+ * @returns {string}
+ */
+function _readTextExcerpt(file) {
+  const maxBytes = EXTRACTION_TOKEN_BUDGET * 4 * 2; // Leaves room for multi-byte characters
+  if (file.getSize() <= maxBytes) {
+    return file.getBlob().getDataAsString();
+  }
+  return _downloadDriveFileRange(file.getId(), 0, maxBytes - 1).getContentText();
+}
+
+/**
+ * Downloads a byte range of a Drive file with an HTTP Range request, so large files never have to
+ * be loaded whole (Apps Script blobs are capped at 50MB).
+ * @param {string} fileId
+ * @param {number} start - First byte, inclusive
+ * @param {number} end - Last byte, inclusive
+ * @returns {HTTPResponse}
+ */
+function _downloadDriveFileRange(fileId, start, end) {
+  const response = UrlFetchApp.fetch(`https://www.googleapis.com/drive/v3/files/${fileId}?alt=media&supportsAllDrives=true`, {
+    headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}`, Range: `bytes=${start}-${end}` },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200 && response.getResponseCode() !== 206) {
+    throw new Error(`Drive download failed with status ${response.getResponseCode()}`);
+  }
+  return response;
+}
+
+/**
+ * Extracts the text of an Office file by unzipping it when it is small enough to load, otherwise by
+ * converting it to a Google Doc with Drive.
+ * @param {File} file
+ * @returns {string}
+ */
+function _extractOfficeFileText(file) {
+  if (file.getSize() <= INLINE_FILE_SIZE_LIMIT_MB * 1024 * 1024) {
+    return _extractOfficeText(file.getBlob(), file.getMimeType());
+  }
+  return _convertAndExportText(file);
+}
+
+/**
+ * Runs Drive's OCR over an image or PDF by converting a copy to a Google Doc.
+ * @param {File} file
+ * @returns {string}
+ */
+function _ocrFileText(file) {
+  return _convertAndExportText(file);
+}
+
+/**
+ * Copies a file into the data folder as a Google Doc (Drive runs OCR for images and PDFs and
+ * converts Office files), exports the copy's text and deletes the copy again.
+ * Requires the Drive API advanced service.
+ * @param {File} file
+ * @returns {string}
+ */
+function _convertAndExportText(file) {
+  if (typeof Drive === 'undefined') {
+    throw new Error("the Drive API advanced service is not enabled (Services → Drive API)");
+  }
+  const convertedFile = Drive.Files.copy(
+    { name: `[extract] ${file.getName()}`, mimeType: GOOGLE_DOCS_MIME_TYPE, parents: [_getDataFolder().getId()] },
+    file.getId(),
+    { ocrLanguage: OCR_LANGUAGE, supportsAllDrives: true, fields: 'id' });
+  try {
+    return _exportGoogleFileText(convertedFile.id, 'text/plain');
+  } finally {
+    try {
+      Drive.Files.remove(convertedFile.id);
+    } catch (e) {
+      Logger.log(`Warning: Could not delete temporary conversion of '${file.getName()}': ${e.toString()}`);
+    }
+  }
+}
+
+/**
+ * Returns Drive's thumbnail of the file (its first page for documents), or null if there is none.
+ * @param {File} file
+ * @returns {Blob|null}
+ */
+function _getPreviewImage(file) {
+  try {
+    return file.getThumbnail();
+  } catch (e) {
+    Logger.log(`No preview image available for '${file.getName()}': ${e.toString()}`);
+    return null;
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * AI PROVIDERS
+ * -----------------------------------------------------------------------------
+ * Each provider knows how to build its request (endpoint, auth scheme, body) and how to pull the
+ * model's text out of the response. Choose one with AI_PLATFORM; adding a backend only means adding
+ * an entry here.
+ *
+ * `content` passed to buildRequest is the result of _extractContent: extracted `text` (plus an
+ * optional `previewBlob` image), the raw `blob`/`base64Data` when no text could be extracted, or
+ * just a `driveFileId` for files too large to send inline.
+ * buildRequest returns {url, options} and, if it created anything remotely (e.g. an uploaded
+ * file), a `cleanup` function that the caller runs once the request has completed.
+ * Providers with constrained JSON output also have `applyResponseSchema(request, schema)`, which
+ * adds a schema from _buildSuggestionSchema to a built request.
+ * extractUsage returns the {inputTokens, outputTokens} the provider reports for a response.
+ */
+
+const AI_PROVIDERS = {
+  GEMINI: {
+    label: 'Gemini',
+    model: GEMINI_MODEL,
+    apiKey: GEMINI_API_KEY,
+    apiKeyProperty: 'GEMINI_API_KEY',
+    requiresApiKey: true,
+    buildRequest: _buildGeminiRequest,
+    applyResponseSchema: _applyGeminiResponseSchema,
+    extractText: _extractGeminiText,
+    extractUsage: _extractGeminiUsage
+  },
+  OPENAI: {
+    label: 'OpenAI',
+    model: OPENAI_MODEL,
+    apiKey: OPENAI_API_KEY,
+    apiKeyProperty: 'OPENAI_API_KEY',
+    requiresApiKey: true,
+    buildRequest: (prompt, content, apiKey, model) => _buildOpenAiChatRequest(
+      `${OPENAI_API_BASE_URL}/chat/completions`, { Authorization: `Bearer ${apiKey}` }, prompt, content, model, apiKey),
+    applyResponseSchema: _applyOpenAiResponseSchema,
+    extractText: _extractOpenAiChatText,
+    extractUsage: _extractOpenAiChatUsage
+  },
+  ANTHROPIC: {
+    label: 'Anthropic',
+    model: ANTHROPIC_MODEL,
+    apiKey: ANTHROPIC_API_KEY,
+    apiKeyProperty: 'ANTHROPIC_API_KEY',
+    requiresApiKey: true,
+    buildRequest: _buildAnthropicRequest,
+    extractText: _extractAnthropicText,
+    extractUsage: _extractAnthropicUsage
+  },
+  AZURE_OPENAI: {
+    label: 'Azure OpenAI',
+    model: AZURE_OPENAI_DEPLOYMENT,
+    apiKey: AZURE_OPENAI_API_KEY,
+    apiKeyProperty: 'AZURE_OPENAI_API_KEY',
+    requiresApiKey: true,
+    buildRequest: (prompt, content, apiKey, model) => _buildOpenAiChatRequest(
+      `${AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`,
+      { 'api-key': apiKey }, prompt, content, model),
+    applyResponseSchema: _applyOpenAiResponseSchema,
+    extractText: _extractOpenAiChatText,
+    extractUsage: _extractOpenAiChatUsage
+  },
+  OPENAI_COMPATIBLE: {
+    label: 'OpenAI-compatible endpoint',
+    model: OPENAI_COMPATIBLE_MODEL,
+    apiKey: OPENAI_COMPATIBLE_API_KEY,
+    apiKeyProperty: 'OPENAI_COMPATIBLE_API_KEY',
+    requiresApiKey: false,
+    buildRequest: (prompt, content, apiKey, model) => _buildOpenAiChatRequest(
+      `${OPENAI_COMPATIBLE_BASE_URL.replace(/\/+$/, '')}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, prompt, content, model),
+    applyResponseSchema: _applyOpenAiResponseSchema,
+    extractText: _extractOpenAiChatText,
+    extractUsage: _extractOpenAiChatUsage
+  }
+};
+
+/**
+ * Sends a small sample document through the configured provider and logs the parsed reply.
+ * Use it to check keys and endpoints, or to exercise a mock server, without touching any files.
+ */
+function DEBUG_TEST_AI_PROVIDER() {
+  const provider = _getActiveProvider();
+  const apiKey = _getProviderApiKey(provider);
+  const blob = Utilities.newBlob('Invoice INV-1042 from ACME Corp, dated 2025-01-15. Total due: $512.00', 'text/plain', 'scan001.txt');
+  const prompt = 'Suggest a filename for the attached file. Respond ONLY with a minified JSON object using the key "newFilename".';
+  const content = { mimeType: 'text/plain', text: blob.getDataAsString(), extractionMethod: 'plain text', truncated: false, previewBlob: null, blob: null, base64Data: null, driveFileId: null };
+  const request = provider.buildRequest(prompt, content, apiKey, provider.model);
+
+  Logger.log(`Testing ${provider.label} (model: ${provider.model}) at ${request.url}`);
+  const response = _fetchAiResponse(AI_PLATFORM, request, _estimateRequestTokens(prompt, content));
+  Logger.log(`API response code: ${response.getResponseCode()}`);
+  if (response.getResponseCode() !== 200) {
+    Logger.log(`API error response: ${response.getContentText().substring(0, 500)}`);
+    return;
+  }
+  Logger.log(`Model reply: ${provider.extractText(JSON.parse(response.getContentText()))}`);
+}
+
+/**
+ * Returns the provider selected by AI_PLATFORM.
+ * @returns {Object}
+ */
+function _getActiveProvider() {
+  const provider = AI_PROVIDERS[AI_PLATFORM];
+  if (!provider) {
+    throw new Error(`Unsupported AI_PLATFORM: ${AI_PLATFORM}. Options: ${Object.keys(AI_PROVIDERS).join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Reads a provider's API key from user properties, where setup stored it.
+ * @param {Object} provider - An AI_PROVIDERS entry
+ * @returns {string} - The key, or an empty string for providers that do not need one
+ */
+function _getProviderApiKey(provider) {
+  const apiKey = PropertiesService.getUserProperties().getProperty(provider.apiKeyProperty);
+  if (!apiKey && provider.requiresApiKey) {
+    throw new Error(`${provider.label} API key not found. Please run SETUP_SCRIPT_AND_AUTHORIZE first.`);
+  }
+  return apiKey || '';
+}
+
+/**
+ * Saves a provider's API key constant to user properties, unless it is still the placeholder.
+ * @param {string} providerName - A key of AI_PROVIDERS
+ */
+function _saveProviderApiKey(providerName) {
+  const provider = AI_PROVIDERS[providerName];
+  if (!provider.apiKey || provider.apiKey.indexOf('PASTE_YOUR_') === 0) {
+    if (providerName === AI_PLATFORM && provider.requiresApiKey) {
+      Logger.log(`${provider.label} API Key not provided. Please update the ${provider.apiKeyProperty} constant and run SETUP_SCRIPT_AND_AUTHORIZE again.`);
+    }
+    return;
+  }
+  try {
+    PropertiesService.getUserProperties().setProperty(provider.apiKeyProperty, provider.apiKey);
+    Logger.log(`Success: ${provider.label} API Key saved.`);
+  } catch (e) {
+    Logger.log(`Error saving ${provider.label} API key: ${e.toString()}`);
+  }
+}
+
+/**
+ * Builds a Gemini generateContent request. Files over the inline limit are uploaded to the Gemini
+ * Files API first and referenced by URI; cleanup deletes the uploaded copy.
+ */
+function _buildGeminiRequest(prompt, content, apiKey, model) {
+  const parts = [{ "text": prompt }];
+  let cleanup;
+  if (content.text !== null) {
+    parts.push({ "text": _describeExtractedText(content) });
+  }
+  if (content.previewBlob) {
+    parts.push({ "inline_data": { "mime_type": content.previewBlob.getContentType(), "data": Utilities.base64Encode(content.previewBlob.getBytes()) } });
+  }
+  if (content.blob) {
+    parts.push({ "inline_data": { "mime_type": content.mimeType, "data": content.base64Data } });
+  }
+  if (content.driveFileId) {
+    const uploadedFile = _uploadToGeminiFilesApi(content.driveFileId, content.mimeType, apiKey);
+    cleanup = () => _deleteGeminiFile(uploadedFile.name, apiKey);
+    parts.push({ "file_data": { "mime_type": uploadedFile.mimeType || content.mimeType, "file_uri": uploadedFile.uri } });
+  }
+  const requestBody = { "contents": [{ "parts": parts }] };
+  return {
+    url: `${GEMINI_API_BASE_URL}/models/${model}:generateContent`,
+    options: {
+      method: 'post',
+      contentType: 'application/json',
+      headers: { 'x-goog-api-key': apiKey },
+      payload: JSON.stringify(requestBody),
+      muteHttpExceptions: true
+    },
+    cleanup: cleanup
+  };
+}
+
+/**
+ * Uploads a Drive file to the Gemini Files API with the resumable upload protocol. The file is
+ * streamed in GEMINI_UPLOAD_CHUNK_MB chunks fetched from Drive by byte range, then polled until
+ * Gemini has finished processing it.
+ *
+ * @param {string} driveFileId - The Drive file to upload
+ * @param {string} mimeType - Its MIME type
+ * @param {string} apiKey - Gemini API key
+ * @returns {{name: string, uri: string, mimeType: string}} - The Gemini file resource
+ */
+function _uploadToGeminiFilesApi(driveFileId, mimeType, apiKey) {
+  const driveFile = DriveApp.getFileById(driveFileId);
+  const fileSize = driveFile.getSize();
+  const uploadBaseUrl = GEMINI_API_BASE_URL.replace(/\/([^\/]+)$/, '/upload/$1');
+
+  const startResponse = UrlFetchApp.fetch(`${uploadBaseUrl}/files`, {
+    method: 'post',
+    contentType: 'application/json',
+    headers: {
+      'x-goog-api-key': apiKey,
+      'X-Goog-Upload-Protocol': 'resumable',
+      'X-Goog-Upload-Command': 'start',
+      'X-Goog-Upload-Header-Content-Length': String(fileSize),
+      'X-Goog-Upload-Header-Content-Type': mimeType
+    },
+    payload: JSON.stringify({ file: { display_name: driveFile.getName() } }),
+    muteHttpExceptions: true
+  });
+  const uploadUrl = _getResponseHeader(startResponse, 'x-goog-upload-url');
+  if (startResponse.getResponseCode() !== 200 || !uploadUrl) {
+    throw new Error(`Gemini Files API upload could not be started (status ${startResponse.getResponseCode()}): ${startResponse.getContentText().substring(0, 200)}`);
+  }
+
+  Logger.log(`Uploading '${driveFile.getName()}' (${Math.round(fileSize / 1024 / 1024)}MB) to the Gemini Files API...`);
+  const chunkSize = GEMINI_UPLOAD_CHUNK_MB * 1024 * 1024;
+  let uploadResponse;
+  for (let offset = 0; offset < fileSize; offset += chunkSize) {
+    const end = Math.min(offset + chunkSize, fileSize) - 1;
+    const isLastChunk = end === fileSize - 1;
+    uploadResponse = UrlFetchApp.fetch(uploadUrl, {
+      method: 'post',
+      contentType: 'application/octet-stream',
+      headers: {
+        'X-Goog-Upload-Command': isLastChunk ? 'upload, finalize' : 'upload',
+        'X-Goog-Upload-Offset': String(offset)
+      },
+      payload: _downloadDriveFileRange(driveFileId, offset, end).getContent(),
+      muteHttpExceptions: true
+    });
+    if (uploadResponse.getResponseCode() !== 200) {
+      throw new Error(`Gemini Files API upload failed at byte ${offset} (status ${uploadResponse.getResponseCode()}): ${uploadResponse.getContentText().substring(0, 200)}`);
+    }
+  }
+
+  let uploadedFile = JSON.parse(uploadResponse.getContentText()).file;
+  const deadline = new Date().getTime() + 2 * 60 * 1000;
+  while (uploadedFile.state === 'PROCESSING' && new Date().getTime() < deadline) {
+    Utilities.sleep(2000);
+    const statusResponse = UrlFetchApp.fetch(`${GEMINI_API_BASE_URL}/${uploadedFile.name}`, {
+      headers: { 'x-goog-api-key': apiKey },
+      muteHttpExceptions: true
+    });
+    // An error page is not JSON; failing here leaves the file to be retried like a failed upload
+    if (statusResponse.getResponseCode() !== 200) {
+      _deleteGeminiFile(uploadedFile.name, apiKey);
+      throw new Error(`Gemini Files API status check failed (status ${statusResponse.getResponseCode()}): ${statusResponse.getContentText().substring(0, 200)}`);
+    }
+    uploadedFile = JSON.parse(statusResponse.getContentText());
+  }
+  if (uploadedFile.state !== 'ACTIVE') {
+    _deleteGeminiFile(uploadedFile.name, apiKey);
+    throw new Error(`Gemini could not process the uploaded file (state: ${uploadedFile.state}).`);
+  }
+  Logger.log(`Upload complete: ${uploadedFile.name}`);
+  return uploadedFile;
+}
+
+/**
+ * Deletes a file from the Gemini Files API. Failures are only logged; Gemini also expires uploaded
+ * files automatically after 48 hours.
+ * @param {string} name - The Gemini file resource name, e.g. "files/abc123"
+ * @param {string} apiKey - Gemini API key
+ */
+function _deleteGeminiFile(name, apiKey) {
+  try {
+    const response = UrlFetchApp.fetch(`${GEMINI_API_BASE_URL}/${name}`, {
+      method: 'delete',
+      headers: { 'x-goog-api-key': apiKey },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      Logger.log(`Warning: Could not delete Gemini file ${name} (status ${response.getResponseCode()}).`);
+    }
+  } catch (e) {
+    Logger.log(`Warning: Could not delete Gemini file ${name}: ${e.toString()}`);
+  }
+}
+
+function _extractGeminiText(jsonResponse) {
+  if (!jsonResponse.candidates ||
+      !jsonResponse.candidates[0] ||
+      !jsonResponse.candidates[0].content ||
+      !jsonResponse.candidates[0].content.parts ||
+      !jsonResponse.candidates[0].content.parts[0] ||
+      !jsonResponse.candidates[0].content.parts[0].text) {
+    throw new Error(`Invalid response structure: ${JSON.stringify(jsonResponse).substring(0, 200)}...`);
+  }
+  return jsonResponse.candidates[0].content.parts[0].text;
+}
+
+function _extractGeminiUsage(jsonResponse) {
+  const usage = jsonResponse.usageMetadata || {};
+  // Thinking models bill their thoughts as output
+  return { inputTokens: usage.promptTokenCount || 0, outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0) };
+}
+
+/**
+ * Builds a Chat Completions request. Shared by OpenAI, Azure OpenAI and OpenAI-compatible servers,
+ * which differ only in URL and auth header.
+ *
+ * The file is attached as a proper content part rather than pasted into the prompt:
+ * - Images are sent as `image_url` parts with a base64 data URI.
+ * - PDFs are uploaded to the OpenAI Files API when `filesApiKey` is given (and deleted again in
+ *   cleanup), otherwise sent inline as a `file` part.
+ * - Word, Excel and PowerPoint files and plain text are sent as extracted text.
+ * Oversized or unreadable inputs throw a `permanent` error with a clear message instead of failing
+ * with a 400.
+ *
+ * @param {string} url - Chat Completions endpoint
+ * @param {Object} headers - Auth headers for the endpoint
+ * @param {string} prompt - The organizing prompt
+ * @param {Object} content - {mimeType, base64Data, blob} of the file
+ * @param {string} model - Model (or Azure deployment) name
+ * @param {string} [filesApiKey] - OpenAI key used to upload PDFs to the Files API
+ * @returns {{url: string, options: Object, cleanup: (function()|undefined)}}
+ */
+function _buildOpenAiChatRequest(url, headers, prompt, content, model, filesApiKey) {
+  const parts = [{ type: 'text', text: prompt }];
+  let cleanup;
+
+  if (content.text !== null) {
+    parts.push({ type: 'text', text: _describeExtractedText(content) });
+    if (content.previewBlob) {
+      parts.push({ type: 'image_url', image_url: { url: `data:${content.previewBlob.getContentType()};base64,${Utilities.base64Encode(content.previewBlob.getBytes())}` } });
+    }
+    return _openAiChatRequest(url, headers, model, parts);
+  }
+  if (!content.blob) {
+    throw _permanentError(`File is over the ${INLINE_FILE_SIZE_LIMIT_MB}MB inline limit. Only the GEMINI provider can upload larger files. Skipping.`);
+  }
+
+  const sizeMB = content.blob.getBytes().length / 1024 / 1024;
+  if (/^image\/(jpeg|png|gif|webp)$/.test(content.mimeType)) {
+    if (sizeMB > OPENAI_MAX_IMAGE_MB) {
+      throw _permanentError(`Image is ${sizeMB.toFixed(1)}MB, over the ${OPENAI_MAX_IMAGE_MB}MB limit for OpenAI image inputs. Skipping.`);
+    }
+    parts.push({ type: 'image_url', image_url: { url: `data:${content.mimeType};base64,${content.base64Data}` } });
+  } else if (content.mimeType === 'application/pdf') {
+    if (filesApiKey) {
+      const uploadedFileId = _uploadOpenAiFile(content.blob, filesApiKey);
+      parts.push({ type: 'file', file: { file_id: uploadedFileId } });
+      cleanup = () => _deleteOpenAiFile(uploadedFileId, filesApiKey);
+    } else {
+      parts.push({ type: 'file', file: { filename: content.blob.getName() || 'document.pdf', file_data: `data:application/pdf;base64,${content.base64Data}` } });
+    }
+  } else {
+    let text = _isOfficeMimeType(content.mimeType) ? _extractOfficeText(content.blob, content.mimeType)
+             : _isTextMimeType(content.mimeType) ? content.blob.getDataAsString()
+             : null;
+    if (text === null) {
+      throw _permanentError(`OpenAI-style providers cannot read ${content.mimeType} files. Skipping.`);
+    }
+    if (text.length > OPENAI_MAX_TEXT_CHARS) {
+      Logger.log(`File text is ${text.length} characters. Truncating to ${OPENAI_MAX_TEXT_CHARS} for the model.`);
+      text = text.substring(0, OPENAI_MAX_TEXT_CHARS);
+    }
+    parts.push({ type: 'text', text: `File content:\n${text}` });
+  }
+
+  return _openAiChatRequest(url, headers, model, parts, cleanup);
+}
+
+function _openAiChatRequest(url, headers, model, parts, cleanup) {
+  const chatRequest = {
+    model: model,
+    messages: [{ role: "user", content: parts }]
+  };
+  return {
+    url: url,
+    options: {
+      method: 'post',
+      contentType: 'application/json',
+      headers: headers,
+      payload: JSON.stringify(chatRequest),
+      muteHttpExceptions: true
+    },
+    cleanup: cleanup
+  };
+}
+
+/**
+ * Uploads a file to the OpenAI Files API for use as a chat input.
+ * @param {Blob} blob - The file content
+ * @param {string} apiKey - OpenAI API key
+ * @returns {string} - The uploaded file's ID
+ */
+function _uploadOpenAiFile(blob, apiKey) {
+  const response = UrlFetchApp.fetch(`${OPENAI_API_BASE_URL}/files`, {
+    method: 'post',
+    headers: { Authorization: `Bearer ${apiKey}` },
+    payload: { purpose: 'user_data', file: blob },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`OpenAI file upload failed with status ${response.getResponseCode()}: ${response.getContentText().substring(0, 200)}`);
+  }
+  return JSON.parse(response.getContentText()).id;
+}
+
+/**
+ * Deletes a file previously uploaded to the OpenAI Files API. Failures are only logged.
+ * @param {string} uploadedFileId
+ * @param {string} apiKey - OpenAI API key
+ */
+function _deleteOpenAiFile(uploadedFileId, apiKey) {
+  try {
+    const response = UrlFetchApp.fetch(`${OPENAI_API_BASE_URL}/files/${uploadedFileId}`, {
+      method: 'delete',
+      headers: { Authorization: `Bearer ${apiKey}` },
+      muteHttpExceptions: true
+    });
+    if (response.getResponseCode() !== 200) {
+      Logger.log(`Warning: Could not delete uploaded OpenAI file ${uploadedFileId} (status ${response.getResponseCode()}).`);
+    }
+  } catch (e) {
+    Logger.log(`Warning: Could not delete uploaded OpenAI file ${uploadedFileId}: ${e.toString()}`);
+  }
+}
+
+function _extractOpenAiChatText(jsonResponse) {
+  if (!jsonResponse.choices || !jsonResponse.choices[0] || !jsonResponse.choices[0].message || !jsonResponse.choices[0].message.content) {
+    throw new Error(`Invalid response structure from OpenAI: ${JSON.stringify(jsonResponse).substring(0,200)}...`);
+  }
+  return jsonResponse.choices[0].message.content;
+}
+
+function _extractOpenAiChatUsage(jsonResponse) {
+  const usage = jsonResponse.usage || {};
+  return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Builds an Anthropic Messages request. Images and PDFs are sent as native content blocks, text
+ * files as plain text; other types are described by filename and MIME type only. A file over the
+ * inline limit throws a `permanent` error, as no later attempt can send it.
+ */
+function _buildAnthropicRequest(prompt, content, apiKey, model) {
+  const blocks = [];
+  if (content.text !== null) {
+    if (content.previewBlob) {
+      blocks.push({ type: 'image', source: { type: 'base64', media_type: content.previewBlob.getContentType(), data: Utilities.base64Encode(content.previewBlob.getBytes()) } });
+    }
+    blocks.push({ type: 'text', text: _describeExtractedText(content) });
+  } else if (!content.blob) {
+    throw _permanentError(`File is over the ${INLINE_FILE_SIZE_LIMIT_MB}MB inline limit. Only the GEMINI provider can upload larger files. Skipping.`);
+  } else if (/^image\/(jpeg|png|gif|webp)$/.test(content.mimeType)) {
+    blocks.push({ type: 'image', source: { type: 'base64', media_type: content.mimeType, data: content.base64Data } });
+  } else if (content.mimeType === 'application/pdf') {
+    blocks.push({ type: 'document', source: { type: 'base64', media_type: 'application/pdf', data: content.base64Data } });
+  } else if (_isOfficeMimeType(content.mimeType)) {
+    blocks.push({ type: 'text', text: `File content:\n${_extractOfficeText(content.blob, content.mimeType)}` });
+  } else if (_isTextMimeType(content.mimeType)) {
+    blocks.push({ type: 'text', text: `File content:\n${content.blob.getDataAsString()}` });
+  } else {
+    Logger.log(`Anthropic cannot read ${content.mimeType} files directly. Organizing from filename and type only.`);
+  }
+  blocks.push({ type: 'text', text: prompt });
+
+  return {
+    url: `${ANTHROPIC_API_BASE_URL}/messages`,
+    options: {
+      method: 'post',
+      contentType: 'application/json',
+      headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' },
+      payload: JSON.stringify({ model: model, max_tokens: 1024, messages: [{ role: 'user', content: blocks }] }),
+      muteHttpExceptions: true
+    }
+  };
+}
+
+function _extractAnthropicText(jsonResponse) {
+  const textBlock = (jsonResponse.content || []).find(block => block.type === 'text' && block.text);
+  if (!textBlock) {
+    throw new Error(`Invalid response structure from Anthropic: ${JSON.stringify(jsonResponse).substring(0, 200)}...`);
+  }
+  return textBlock.text;
+}
+
+function _extractAnthropicUsage(jsonResponse) {
+  const usage = jsonResponse.usage || {};
+  return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+}
+
+/**
+ * Returns true for Word, Excel and PowerPoint (Office Open XML) MIME types.
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function _isOfficeMimeType(mimeType) {
+  return /^application\/vnd\.openxmlformats-officedocument\./.test(mimeType);
+}
+
+/**
+ * Extracts the text of a .docx, .xlsx or .pptx file. These are zip archives of XML parts, so the
+ * relevant parts are unzipped and their tags stripped; no conversion service is needed.
+ * @param {Blob} blob - The Office file
+ * @param {string} mimeType - Its MIME type
+ * @returns {string}
+ */
+function _extractOfficeText(blob, mimeType) {
+  let partPattern;
+  if (/wordprocessingml/.test(mimeType)) {
+    partPattern = /^word\/(document|header\d*|footer\d*)\.xml$/;
+  } else if (/spreadsheetml/.test(mimeType)) {
+    partPattern = /^xl\/sharedStrings\.xml$/;
+  } else if (/presentationml/.test(mimeType)) {
+    partPattern = /^ppt\/slides\/slide\d+\.xml$/;
+  } else {
+    return '';
+  }
+
+  const zipBlob = blob.copyBlob().setContentType('application/zip');
+  return Utilities.unzip(zipBlob)
+    .filter(part => partPattern.test(part.getName()))
+    .map(part => part.getDataAsString()
+      .replace(/<\/(w:p|a:p|si)>/g, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&'))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Returns true for MIME types whose bytes are readable text.
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+function _isTextMimeType(mimeType) {
+  return /^text\//.test(mimeType) || /(json|xml|csv|javascript|yaml)/.test(mimeType);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * RATE LIMITING & API RETRIES
+ * -----------------------------------------------------------------------------
+ * Each provider has a token bucket per limit in RATE_LIMITS, kept in script properties so the
+ * budget carries over between executions. Buckets refill continuously, up to one minute's worth.
+ */
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504, 529];
+const ESTIMATED_CHARS_PER_TOKEN = 4;
+const ESTIMATED_TOKENS_PER_ATTACHMENT = 1000; // Images, PDFs and uploaded files are not measured
+
+/**
+ * Sends an AI request, waiting for the provider's rate limits first and retrying rate-limited,
+ * server error and network failures. The request's cleanup runs once, after the last attempt.
+ * @param {string} providerName - A key of AI_PROVIDERS
+ * @param {{url: string, options: Object, cleanup: Function}} request - From the provider's buildRequest
+ * @param {number} estimatedTokens - From _estimateRequestTokens
+ * @returns {HTTPResponse} - The first non-retryable response, or the last one once retries run out
+ * @throws {Error} - With `quotaExhausted` set when the provider reports a used-up daily quota
+ */
+function _fetchAiResponse(providerName, request, estimatedTokens) {
+  try {
+    for (let attempt = 0; ; attempt++) {
+      _waitForRateLimit(providerName, estimatedTokens);
+
+      let response = null;
+      let networkError = null;
+      try {
+        response = UrlFetchApp.fetch(request.url, request.options);
+      } catch (e) {
+        networkError = e;
+      }
+
+      const responseCode = response ? response.getResponseCode() : null;
+      if (response && RETRYABLE_STATUS_CODES.indexOf(responseCode) === -1) {
+        return response;
+      }
+
+      const errorBody = response ? _parseJsonSafely(response.getContentText()) : null;
+      const requestedDelayMs = response ? _getRequestedRetryDelayMs(response, errorBody) : null;
+      if (responseCode === 429 && _isDailyQuotaExhausted(response.getContentText(), errorBody)) {
+        const pauseMs = Math.max(requestedDelayMs || 0, QUOTA_PAUSE_MINUTES * 60 * 1000);
+        PropertiesService.getScriptProperties().setProperty('aiQuotaPausedUntil', (new Date().getTime() + pauseMs).toString());
+        const error = new Error(`${AI_PROVIDERS[providerName].label} daily quota is used up. Processing is paused for ${Math.round(pauseMs / 60000)} minutes.`);
+        error.quotaExhausted = true;
+        throw error;
+      }
+
+      const failure = networkError ? `Request failed: ${networkError}` : `API returned status ${responseCode}`;
+      if (attempt >= API_MAX_RETRIES) {
+        if (networkError) throw networkError;
+        return response;
+      }
+      // Full jitter keeps concurrent callers from retrying in lockstep; a delay the provider asked for is honored exactly
+      const backoffMs = API_RETRY_BASE_DELAY_SECONDS * 1000 * Math.pow(2, attempt);
+      const delayMs = requestedDelayMs !== null ? requestedDelayMs : Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+      if (delayMs > API_RETRY_MAX_DELAY_SECONDS * 1000) {
+        Logger.log(`${failure}. The provider asked to wait ${Math.round(delayMs / 1000)} seconds, longer than API_RETRY_MAX_DELAY_SECONDS. Not retrying.`);
+        if (networkError) throw networkError;
+        return response;
+      }
+      Logger.log(`${failure}. Retrying in ${(delayMs / 1000).toFixed(1)} seconds (retry ${attempt + 1} of ${API_MAX_RETRIES}).`);
+      Utilities.sleep(delayMs);
+    }
+  } finally {
+    if (request.cleanup) request.cleanup();
+  }
+}
+
+/**
+ * Estimates how many tokens a request will use, for the tokens-per-minute budget.
+ * @param {string} prompt - The prompt text
+ * @param {Object} content - The file's content from _extractContent
+ * @returns {number}
+ */
+function _estimateRequestTokens(prompt, content) {
+  let characters = prompt.length;
+  let attachments = 0;
+  if (content.text !== null) {
+    characters += content.text.length;
+  }
+  if (content.previewBlob) attachments++;
+  if (content.text === null && (content.blob || content.base64Data || content.driveFileId)) attachments++;
+  return Math.ceil(characters / ESTIMATED_CHARS_PER_TOKEN) + attachments * ESTIMATED_TOKENS_PER_ATTACHMENT;
+}
+
+/**
+ * Sleeps until the provider's buckets hold one request and `tokens` tokens, then takes them.
+ * A request larger than a whole minute's token budget only waits for a full bucket.
+ * @param {string} providerName - A key of AI_PROVIDERS
+ * @param {number} tokens - Estimated tokens of the request
+ */
+function _waitForRateLimit(providerName, tokens) {
+  const limits = RATE_LIMITS[providerName] || {};
+  const buckets = [
+    { name: 'requests', perMinute: limits.requestsPerMinute || 0, cost: 1 },
+    { name: 'tokens', perMinute: limits.tokensPerMinute || 0, cost: tokens }
+  ].filter(bucket => bucket.perMinute > 0);
+  if (buckets.length === 0) return;
+
+  const properties = PropertiesService.getScriptProperties();
+  const key = `rateLimit_${providerName}`;
+  const now = new Date().getTime();
+  const state = _parseJsonSafely(properties.getProperty(key)) || {};
+  const elapsedMinutes = state.updatedAt ? (now - state.updatedAt) / 60000 : Infinity;
+
+  let waitMs = 0;
+  buckets.forEach(bucket => {
+    const stored = typeof state[bucket.name] === 'number' ? state[bucket.name] : bucket.perMinute;
+    bucket.available = Math.min(bucket.perMinute, stored + elapsedMinutes * bucket.perMinute);
+    bucket.cost = Math.min(bucket.cost, bucket.perMinute);
+    if (bucket.available < bucket.cost) {
+      waitMs = Math.max(waitMs, (bucket.cost - bucket.available) / bucket.perMinute * 60000);
+    }
+  });
+
+  if (waitMs > 0) {
+    Logger.log(`Waiting ${(waitMs / 1000).toFixed(1)} seconds for the ${AI_PROVIDERS[providerName].label} rate limit.`);
+    Utilities.sleep(Math.ceil(waitMs));
+  }
+
+  const newState = { updatedAt: now + waitMs };
+  buckets.forEach(bucket => {
+    newState[bucket.name] = Math.min(bucket.perMinute, bucket.available + waitMs / 60000 * bucket.perMinute) - bucket.cost;
+  });
+  properties.setProperty(key, JSON.stringify(newState));
+}
+
+/**
+ * Reads how long the provider asked us to wait, from a Retry-After header (seconds or an HTTP date)
+ * or a Gemini-style `retryDelay` ("13s") in the error body.
+ * @param {HTTPResponse} response - The failed response
+ * @param {Object|null} errorBody - The parsed response body
+ * @returns {number|null} - Milliseconds to wait, or null if the provider did not say
+ */
+function _getRequestedRetryDelayMs(response, errorBody) {
+  const retryAfter = _getResponseHeader(response, 'Retry-After');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds) && /^\s*[\d.]+\s*$/.test(retryAfter)) {
+      return Math.round(seconds * 1000);
+    }
+    const date = new Date(retryAfter).getTime();
+    if (!isNaN(date)) {
+      return Math.max(date - new Date().getTime(), 0);
+    }
+  }
+  const details = errorBody && errorBody.error && Array.isArray(errorBody.error.details) ? errorBody.error.details : [];
+  const retryInfo = details.find(detail => detail && detail.retryDelay);
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!isNaN(seconds)) {
+      return Math.round(seconds * 1000);
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells a daily (or billing) quota that will not recover within this run apart from a
+ * per-minute rate limit.
+ * @param {string} errorText - The raw response body
+ * @param {Object|null} errorBody - The parsed response body
+ * @returns {boolean}
+ */
+function _isDailyQuotaExhausted(errorText, errorBody) {
+  const error = errorBody && errorBody.error ? errorBody.error : {};
+  if (error.code === 'insufficient_quota' || error.type === 'insufficient_quota') {
+    return true;
+  }
+  // Gemini names the violated quota, e.g. "GenerateRequestsPerDayPerProjectPerModel-FreeTier"
+  return /PerDay|per day|daily (?:limit|quota)/i.test(errorText || '');
+}
+
+/**
+ * Tells whether an earlier run found a daily quota used up and processing should still wait.
+ * @returns {boolean}
+ */
+function _isAiQuotaPaused() {
+  const pausedUntil = parseInt(PropertiesService.getScriptProperties().getProperty('aiQuotaPausedUntil') || '0');
+  return new Date().getTime() < pausedUntil;
+}
+
+/**
+ * Parses JSON, returning null instead of throwing for empty or malformed text.
+ * @param {string} text - The text to parse
+ * @returns {*}
+ */
+function _parseJsonSafely(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * USAGE & COSTS
+ * -----------------------------------------------------------------------------
+ * The usage ledger keeps one entry per AI call (run, provider, model, file, the folder the file
+ * went to, tokens and estimated cost) plus running totals per day. Only the most recent entries are
+ * kept, but the daily totals outlive them, so monthly totals and the budget stay correct.
+ */
+
+const USAGE_LEDGER_FILE = 'usage-ledger.json';
+const USAGE_LEDGER_MAX_ENTRIES = 10000; // Oldest per-call entries are dropped beyond this
+const USAGE_DAILY_TOTALS_DAYS = 400;    // Daily totals older than this are dropped
+
+/**
+ * Logs today's and this month's usage, this month's usage by provider and model and by folder,
+ * and the usage of the latest run.
+ */
+function SHOW_USAGE_REPORT() {
+  const ledger = _loadUsageLedger();
+  const today = _getUsageDayKey(new Date());
+  const month = today.substring(0, 7);
+  Logger.log(`Today (${today}): ${_formatUsage(ledger.days[today] || _emptyUsageTotals())}`);
+  const budgetNote = MONTHLY_BUDGET_USD > 0 ? ` (budget: $${MONTHLY_BUDGET_USD})` : '';
+  Logger.log(`This month (${month}): ${_formatUsage(_getMonthUsageTotals(ledger, month))}${budgetNote}`);
+
+  const monthEntries = ledger.entries.filter(entry => _getUsageDayKey(new Date(entry.timestamp)).indexOf(month) === 0);
+  _logUsageBreakdown('by provider and model', monthEntries, entry => `${entry.provider} ${entry.model}`);
+  _logUsageBreakdown('by folder', monthEntries, entry => entry.folder || '(none)');
+
+  if (ledger.entries.length > 0) {
+    _logRunUsage(ledger, ledger.entries[ledger.entries.length - 1].runId);
+  }
+}
+
+/**
+ * @returns {{entries: Object[], days: Object<string, Object>}} - The usage ledger
+ */
+function _loadUsageLedger() {
+  const ledger = _loadDataFile(USAGE_LEDGER_FILE, {});
+  return { entries: ledger.entries || [], days: ledger.days || {} };
+}
+
+/**
+ * Saves the usage ledger, dropping the oldest entries and daily totals beyond the limits.
+ * @param {{entries: Object[], days: Object<string, Object>}} ledger
+ */
+function _saveUsageLedger(ledger) {
+  if (ledger.entries.length > USAGE_LEDGER_MAX_ENTRIES) {
+    ledger.entries.splice(0, ledger.entries.length - USAGE_LEDGER_MAX_ENTRIES);
+  }
+  const oldestDay = _getUsageDayKey(new Date(new Date().getTime() - USAGE_DAILY_TOTALS_DAYS * 24 * 60 * 60 * 1000));
+  Object.keys(ledger.days).forEach(day => {
+    if (day < oldestDay) delete ledger.days[day];
+  });
+  _saveDataFile(USAGE_LEDGER_FILE, ledger);
+}
+
+/**
+ * Adds one AI call to the run's usage ledger and to today's totals.
+ * @param {Object} runContext - Provides `runId` and the `usageLedger`; calls made outside a
+ *     processing run have no ledger and are not recorded
+ * @param {File} file - The file the call was for
+ * @param {Object|undefined} usage - {provider, model, inputTokens, outputTokens} from _requestAiSuggestion
+ * @param {string} folderPath - The folder the file is going to
+ */
+function _recordUsage(runContext, file, usage, folderPath) {
+  if (!usage || !runContext.usageLedger) return;
+  const entry = {
+    timestamp: new Date().toISOString(),
+    runId: runContext.runId,
+    provider: usage.provider,
+    model: usage.model,
+    fileId: file.getId(),
+    fileName: file.getName(),
+    folder: folderPath || '',
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    cost: _estimateCost(usage.model, usage.inputTokens, usage.outputTokens)
+  };
+  const ledger = runContext.usageLedger;
+  ledger.entries.push(entry);
+  const day = _getUsageDayKey(new Date(entry.timestamp));
+  ledger.days[day] = _addUsage(ledger.days[day] || _emptyUsageTotals(), entry);
+  Logger.log(`AI usage: ${entry.inputTokens} input and ${entry.outputTokens} output tokens, about $${entry.cost.toFixed(4)}.`);
+}
+
+/**
+ * @param {string} model - A model or Azure deployment name
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number} - The estimated cost in US dollars, or 0 for models missing from MODEL_PRICES
+ */
+function _estimateCost(model, inputTokens, outputTokens) {
+  const price = MODEL_PRICES[model];
+  if (!price) {
+    Logger.log(`Model '${model}' has no entry in MODEL_PRICES, so its usage is counted at no cost.`);
+    return 0;
+  }
+  return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1000000;
+}
+
+/**
+ * @returns {{requests: number, inputTokens: number, outputTokens: number, cost: number}}
+ */
+function _emptyUsageTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+/**
+ * @param {Object} totals - Totals from _emptyUsageTotals
+ * @param {Object} usage - A ledger entry, or other totals
+ * @returns {Object} - The totals, with the usage added
+ */
+function _addUsage(totals, usage) {
+  totals.requests += usage.requests === undefined ? 1 : usage.requests;
+  totals.inputTokens += usage.inputTokens || 0;
+  totals.outputTokens += usage.outputTokens || 0;
+  totals.cost += usage.cost || 0;
+  return totals;
+}
+
+/**
+ * @param {{days: Object<string, Object>}} ledger - The usage ledger
+ * @param {string} month - "yyyy-MM"
+ * @returns {Object} - The month's totals, summed from the daily totals
+ */
+function _getMonthUsageTotals(ledger, month) {
+  return Object.keys(ledger.days)
+    .filter(day => day.indexOf(month) === 0)
+    .reduce((totals, day) => _addUsage(totals, ledger.days[day]), _emptyUsageTotals());
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} - "yyyy-MM-dd" in the script's time zone
+ */
+function _getUsageDayKey(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * @param {Object} totals - Totals from _emptyUsageTotals
+ * @returns {string} - e.g. "12 request(s), 30512 input and 1204 output tokens, about $0.0036"
+ */
+function _formatUsage(totals) {
+  return `${totals.requests} request(s), ${totals.inputTokens} input and ${totals.outputTokens} output tokens, about $${totals.cost.toFixed(4)}`;
+}
+
+/**
+ * Logs the totals of ledger entries grouped by a key, most expensive first.
+ * @param {string} label - e.g. "by folder"
+ * @param {Object[]} entries - Ledger entries
+ * @param {function(Object): string} keyOf - Returns an entry's group
+ */
+function _logUsageBreakdown(label, entries, keyOf) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    groups.set(key, _addUsage(groups.get(key) || _emptyUsageTotals(), entry));
+  });
+  const lines = Array.from(groups.entries())
+    .sort((a, b) => b[1].cost - a[1].cost || b[1].requests - a[1].requests)
+    .map(([key, totals]) => `  ${key}: ${_formatUsage(totals)}`);
+  Logger.log(`This month ${label}:${lines.length > 0 ? '\n' + lines.join('\n') : ' no AI calls recorded'}`);
+}
+
+/**
+ * Logs the totals of one run, if it made any AI calls.
+ * @param {{entries: Object[]}} ledger - The usage ledger
+ * @param {string} runId
+ */
+function _logRunUsage(ledger, runId) {
+  const runEntries = ledger.entries.filter(entry => entry.runId === runId);
+  if (runEntries.length === 0) return;
+  const totals = runEntries.reduce((sum, entry) => _addUsage(sum, entry), _emptyUsageTotals());
+  Logger.log(`AI usage of run ${runId}: ${_formatUsage(totals)}.`);
+}
+
+/**
+ * @param {{days: Object<string, Object>}} ledger - The usage ledger
+ * @returns {boolean} - True if MONTHLY_BUDGET_USD is set and this month's estimated cost has reached it
+ */
+function _isMonthlyBudgetReached(ledger) {
+  if (MONTHLY_BUDGET_USD <= 0) return false;
+  const month = _getUsageDayKey(new Date()).substring(0, 7);
+  return _getMonthUsageTotals(ledger, month).cost >= MONTHLY_BUDGET_USD;
+}
+
+/**
+ * Emails that the monthly budget is used up, once per month.
+ * @param {{days: Object<string, Object>}} ledger - The usage ledger
+ */
+function _notifyMonthlyBudgetReached(ledger) {
+  const properties = PropertiesService.getScriptProperties();
+  const month = _getUsageDayKey(new Date()).substring(0, 7);
+  if (properties.getProperty('budgetNotifiedMonth') === month) return;
+
+  const totals = _getMonthUsageTotals(ledger, month);
+  _sendNotification(
+    'Monthly AI budget reached',
+    `This month's estimated AI cost is $${totals.cost.toFixed(2)} (${_formatUsage(totals)}), which reaches ` +
+    `the monthly budget of $${MONTHLY_BUDGET_USD}.\n\nFile processing is paused until next month. ` +
+    `To resume sooner, raise MONTHLY_BUDGET_USD (or set it to 0) in the script.`);
+  properties.setProperty('budgetNotifiedMonth', month);
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * ACTIVITY LOG & DIGEST
+ * -----------------------------------------------------------------------------
+ * Each processing run collects one row per file it handled and appends them to the "Activity" tab
+ * in one write at the end. The daily digest is built from that tab, plus the state the script
+ * keeps about its folder cache, retries, quota and budget.
+ */
+
+const ACTIVITY_SHEET_NAME = 'Activity';
+const ACTIVITY_SHEET_HEADERS = [
+  'Timestamp', 'Run ID', 'Inbox', 'Outcome', 'Original Name', 'New Name', 'Destination', 'Source',
+  'Details', 'Duration (s)', 'File ID', 'Link'
+];
+const DIGEST_MAX_FILES_PER_SECTION = 50; // Longer lists are cut short with a count of the rest
+const DIGEST_MAX_INBOX_FILES_COUNTED = 500; // Inboxes are counted up to this many waiting files
+
+/**
+ * Emails a summary of the last 24 hours: files organized, files that need attention and the
+ * health of the folder cache, retries, quota and budget. Runs on the daily digest trigger, and can
+ * be run by hand to send a digest right away.
+ */
+function sendDailyDigest() {
+  const since = new Date(new Date().getTime() - 24 * 60 * 60 * 1000);
+  const records = _readSheetRecords(_getOrganizerSheet(ACTIVITY_SHEET_NAME, ACTIVITY_SHEET_HEADERS))
+    .filter(record => new Date(record['Timestamp']).getTime() >= since.getTime());
+  const byOutcome = outcomes => records.filter(record => outcomes.indexOf(record['Outcome']) !== -1);
+
+  const organized = byOutcome(['ORGANIZED']);
+  const needsAttention = byOutcome(['QUARANTINED', 'FAILED', 'DEAD_LETTERED']);
+  const counts = ['ORGANIZED', 'QUARANTINED', 'DUPLICATE', 'REVIEW', 'FAILED', 'DEAD_LETTERED']
+    .map(outcome => `  ${outcome}: ${byOutcome([outcome]).length}`);
+
+  const sections = [
+    `Files processed since ${since.toLocaleString()}: ${records.length}\n${counts.join('\n')}`,
+    _formatDigestSection('Organized', organized,
+      record => `"${record['Original Name']}" → "${record['New Name']}" in ${record['Destination']}`),
+    _formatDigestSection('Needs attention', needsAttention,
+      record => `${record['Outcome']}: "${record['New Name']}" (${record['Details']})`),
+    `Health\n${_describeOrganizerHealth().map(line => `  ${line}`).join('\n')}`
+  ];
+  _sendNotification(
+    `Daily digest: ${organized.length} organized, ${needsAttention.length} need attention`,
+    sections.filter(section => section).join('\n\n'));
+}
+
+/**
+ * Adds a file's outcome to the run's activity log.
+ * @param {Object} runContext - Provides `runId`, `inbox` and the `activityLog` (null when it is off)
+ * @param {File} file - The file, after it was handled
+ * @param {{startTime: number, originalName: string}} activity - Taken before the file was handled
+ * @param {{outcome: string, destination: string, source: string, details: string}} entry - What happened
+ */
+function _logActivity(runContext, file, activity, entry) {
+  if (!runContext.activityLog) return;
+  const fileId = file.getId();
+  runContext.activityLog.push([
+    new Date(),
+    runContext.runId,
+    runContext.inbox ? runContext.inbox.name : '',
+    entry.outcome,
+    activity.originalName,
+    file.getName(),
+    entry.destination || '',
+    entry.source || '',
+    String(entry.details || '').substring(0, 500),
+    Math.round((new Date().getTime() - activity.startTime) / 100) / 10,
+    fileId,
+    `https://drive.google.com/file/d/${fileId}/view`
+  ]);
+}
+
+/**
+ * Appends a run's activity rows to the Activity tab and deletes the oldest rows beyond
+ * ACTIVITY_LOG_MAX_ROWS.
+ * @param {Array<Array>} rows - Rows from _logActivity
+ */
+function _appendActivityLog(rows) {
+  if (rows.length === 0) return;
+  try {
+    const sheet = _getOrganizerSheet(ACTIVITY_SHEET_NAME, ACTIVITY_SHEET_HEADERS);
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, ACTIVITY_SHEET_HEADERS.length).setValues(rows);
+    const excessRows = sheet.getLastRow() - 1 - ACTIVITY_LOG_MAX_ROWS;
+    if (excessRows > 0) {
+      sheet.deleteRows(2, excessRows);
+    }
+  } catch (e) {
+    Logger.log(`Error writing ${rows.length} row(s) to the activity log: ${e.toString()}`);
+  }
+}
+
+/**
+ * @param {string} title - The section heading
+ * @param {Object[]} records - Activity records
+ * @param {function(Object): string} describe - Describes one record
+ * @returns {string} - One line per file with its link, or '' if there are none
+ */
+function _formatDigestSection(title, records, describe) {
+  if (records.length === 0) return '';
+  const lines = records.slice(0, DIGEST_MAX_FILES_PER_SECTION)
+    .map(record => `- ${describe(record)}\n  ${record['Link']}`);
+  if (records.length > DIGEST_MAX_FILES_PER_SECTION) {
+    lines.push(`… and ${records.length - DIGEST_MAX_FILES_PER_SECTION} more (see the Activity tab)`);
+  }
+  return `${title}\n${lines.join('\n')}`;
+}
+
+/**
+ * Describes the state of the folder cache, inboxes, retries, AI quota and budget, for the digest.
+ * @returns {string[]} - One line per item
+ */
+function _describeOrganizerHealth() {
+  const properties = PropertiesService.getScriptProperties();
+  const lines = [];
+
+  const folderCount = _loadDataFile(FOLDER_CACHE_FILE, []).length;
+  lines.push(`Folder cache: ${folderCount} folders, last updated ${properties.getProperty('folderCacheTimestamp') || 'never'}`);
+  const scanStartTime = properties.getProperty('scanState_startTime');
+  if (properties.getProperty('scanState_inProgress') === 'true') {
+    lines.push(`Folder scan: in progress since ${scanStartTime ? new Date(parseInt(scanStartTime)).toLocaleString() : 'an unknown time'}`);
+  }
+
+  _getInboxes().forEach(inbox => {
+    let waiting = 0;
+    const files = inbox.folder.getFiles();
+    while (files.hasNext() && waiting < DIGEST_MAX_INBOX_FILES_COUNTED) {
+      files.next();
+      waiting++;
+    }
+    lines.push(`Inbox '${inbox.name}': ${waiting >= DIGEST_MAX_INBOX_FILES_COUNTED ? `${waiting}+` : waiting} file(s) waiting`);
+  });
+
+  const fileStates = _loadDataFile(FILE_STATE_FILE, {});
+  const states = Object.keys(fileStates).map(fileId => fileStates[fileId]);
+  lines.push(`Retries: ${states.filter(state => !state.deadLetteredAt && !state.blockedAt).length} file(s) waiting to be retried, ` +
+    `${states.filter(state => state.deadLetteredAt).length} in ${DEAD_LETTER_FOLDER_PATH}, ` +
+    `${states.filter(state => state.blockedAt).length} blocked`);
+
+  const watchdogRun = _parseJsonSafely(properties.getProperty('watchdogLastRun'));
+  if (watchdogRun) {
+    lines.push(`Watchdog: last ran ${new Date(watchdogRun.at).toLocaleString()}, ${watchdogRun.repairs} repair(s), ${watchdogRun.problems} unresolved problem(s)`);
+  }
+  if (_isAiQuotaPaused()) {
+    lines.push(`AI quota: used up, processing paused until ${new Date(parseInt(properties.getProperty('aiQuotaPausedUntil'))).toLocaleString()}`);
+  }
+  const ledger = _loadUsageLedger();
+  const today = _getUsageDayKey(new Date());
+  const monthTotals = _getMonthUsageTotals(ledger, today.substring(0, 7));
+  lines.push(`AI usage this month: ${_formatUsage(monthTotals)}` +
+    (MONTHLY_BUDGET_USD > 0 ? ` of a $${MONTHLY_BUDGET_USD} budget${_isMonthlyBudgetReached(ledger) ? ' (reached, processing paused)' : ''}` : ''));
+  return lines;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * HELPER & CORE LOGIC FUNCTIONS
+ * -----------------------------------------------------------------------------
+ */
+
+/**
+ * Organizes a file: duplicates of files organized before are set aside first. Then routing rules
+ * are checked, and only if none matches is the AI asked to suggest a better filename and
+ * destination folder. Doubtful AI suggestions send the file to the quarantine folder; everything
+ * else is applied. In REVIEW_MODE every decision, including duplicates and quarantines, is queued
+ * for review instead and nothing about the file is changed. Failures are recorded in the file's
+ * processing state so it is retried later, or dead-lettered. Whatever the outcome, it is added to
+ * the run's activity log.
+ *
+ * @param {File} file - The Google Drive file to organize
+ * @param {Object} runContext - State shared by all files of an inbox in a run:
+ *     {runId, inbox, folders, routingRules, fileStates, contentIndex, corrections, usageLedger,
+ *     activityLog, undoJournal}. `folders` is limited to the inbox's scope; `contentIndex` is null
+ *     when duplicate detection is off and `activityLog` when the activity log is.
+ * @returns {boolean} - True if the file was organized, quarantined or queued for review
+ */
+function _organizeFile(file, runContext) {
+  const fileId = file.getId();
+  const activity = { startTime: new Date().getTime(), originalName: file.getName() };
+  try {
+    // Content is extracted lazily, so rules that don't look at the text never pay for extraction
+    let content;
+    const getContent = () => {
+      if (content === undefined) content = _extractContent(file);
+      return content;
+    };
+
+    // Exact copies are caught by checksum before anything is spent on them. Rescans of the same page
+    // differ in bytes but not in text, so the text is compared once it has been extracted.
+    const fingerprint = runContext.contentIndex ? { md5: _getMd5Checksum(file) } : null;
+    const duplicate = fingerprint && _handleDuplicate(file, fingerprint, runContext);
+    if (duplicate) {
+      _clearFileState(fileId, runContext.fileStates);
+      _logActivity(runContext, file, activity, duplicate);
+      return true;
+    }
+    const handleTextDuplicate = () => {
+      if (!fingerprint || !content) return false;
+      Object.assign(fingerprint, _getTextFingerprint(content));
+      const textDuplicate = fingerprint.textHash ? _handleDuplicate(file, fingerprint, runContext) : null;
+      if (!textDuplicate) return false;
+      _clearFileState(fileId, runContext.fileStates);
+      _logActivity(runContext, file, activity, textDuplicate);
+      return true;
+    };
+
+    let result = _matchRoutingRule(file, runContext.routingRules, () => {
+      const extracted = getContent();
+      return extracted && extracted.text ? extracted.text : '';
+    }, runContext.inbox ? runContext.inbox.scope : []);
+
+    if (result && handleTextDuplicate()) {
+      return true;
+    }
+    if (result && LEARN_FROM_CORRECTIONS) {
+      Object.assign(result, _summarizeForCorrections(result, content));
+    }
+
+    if (!result) {
+      if (!getContent()) {
+        throw new Error('The file content could not be read (too large or unsupported)');
+      }
+      if (handleTextDuplicate()) {
+        return true;
+      }
+      result = _requestAiSuggestion(file, content, runContext);
+      if (runContext.inbox && runContext.inbox.renamePolicy === 'KEEP_ORIGINAL') {
+        result.newFilename = file.getName();
+      }
+      if (LEARN_FROM_CORRECTIONS) {
+        Object.assign(result, _summarizeForCorrections(result, content));
+      }
+
+      const destination = _resolveDestinationFolder(result.destinationFolder, runContext.folders);
+      if (destination) {
+        result.destinationFolder = destination.path;
+        result.createMissingFolders = destination.create;
+      }
+
+      const quarantineReason = _getQuarantineReason(result, runContext);
+      _recordUsage(runContext, file, result.usage, quarantineReason ? QUARANTINE_FOLDER_PATH : result.destinationFolder);
+      if (REVIEW_MODE) {
+        // The reviewer decides instead of the quarantine folder, and the file is not touched until then
+        _queueSuggestionForReview(file, result, quarantineReason ? `Would have been quarantined: ${quarantineReason}` : '');
+        _clearFileState(fileId, runContext.fileStates);
+        _logActivity(runContext, file, activity, { outcome: 'REVIEW', destination: result.destinationFolder, source: result.source, details: quarantineReason || `Suggested name: ${result.newFilename}` });
+        return true;
+      }
+      if (quarantineReason) {
+        if (!_quarantineFile(file, result, quarantineReason, runContext)) {
+          throw new Error('The file could not be moved to the quarantine folder');
+        }
+        _writeExtractedMetadata(file, result);
+        _clearFileState(fileId, runContext.fileStates);
+        _logActivity(runContext, file, activity, { outcome: 'QUARANTINED', destination: QUARANTINE_FOLDER_PATH, source: result.source, details: quarantineReason });
+        return true;
+      }
+      _writeExtractedMetadata(file, result);
     }
-    
-    let fileBlob, bytes, base64Data;
-    try {
-      fileBlob = file.getBlob();
-      bytes = fileBlob.getBytes();
-      base64Data = Utilities.base64Encode(bytes);
-    } catch (blobError) {
-      Logger.log(`Error getting file content for ${file.getName()}: ${blobError}. Skipping.`);
-      return;
+
+    if (REVIEW_MODE) {
+      _queueSuggestionForReview(file, result);
+      _clearFileState(fileId, runContext.fileStates);
+      _logActivity(runContext, file, activity, { outcome: 'REVIEW', destination: result.destinationFolder, source: result.source, details: `Suggested name: ${result.newFilename}` });
+      return true;
     }
-    
-    const mimeType = fileBlob.getContentType();
-    const originalFilename = file.getName();
-    
-    const prompt = `Analyze the content of the attached file (MIME type: ${mimeType}). The original filename is "${originalFilename}".
+
+    if (!_moveFileToDestination(file, result, runContext)) {
+      throw new Error(`The file could not be moved to '${result.destinationFolder}'`);
+    }
+    if (fingerprint) {
+      _addToContentIndex(runContext.contentIndex, file, fingerprint, result.destinationFolder);
+    }
+    _clearFileState(fileId, runContext.fileStates);
+    _logActivity(runContext, file, activity, { outcome: 'ORGANIZED', destination: result.destinationFolder, source: result.source, details: result.reason || '' });
+    return true;
+
+  } catch (e) {
+    // A used-up quota is not the file's fault; the caller ends the run instead
+    if (e.quotaExhausted) {
+      throw e;
+    }
+    Logger.log(`Error processing file ${file.getName()} (ID: ${fileId}): ${e.toString()}`);
+    if (e.stack) {
+      Logger.log(`Stack trace: ${e.stack}`);
+    }
+    _recordFileFailure(file, e, runContext);
+    const state = runContext.fileStates ? runContext.fileStates[fileId] : null;
+    _logActivity(runContext, file, activity, state && state.deadLetteredAt
+      ? { outcome: 'DEAD_LETTERED', destination: DEAD_LETTER_FOLDER_PATH, details: e.toString() }
+      : { outcome: 'FAILED', destination: '', details: e.toString() });
+    return false;
+  }
+}
+
+/**
+ * Asks the configured AI provider for a filename and destination folder.
+ * Supports two methods based on file size:
+ * 1. Inline base64 content for files under INLINE_FILE_SIZE_LIMIT_MB (faster)
+ * 2. Gemini Files API for larger files up to MAX_FILE_SIZE_MB
+ *
+ * @param {File} file - The Google Drive file to organize
+ * @param {Object} content - The file's content from _extractContent
+ * @param {Object} runContext - Provides the scoped folder cache (`folders`) the candidates are
+ *     described from, the `inbox` whose model and prompt additions are used and the
+ *     `corrections` shown as examples
+ * @returns {{newFilename: string, destinationFolder: string, source: string, usage: Object}} - `usage`
+ *     holds the provider, model and token counts reported for the call
+ */
+function _requestAiSuggestion(file, content, runContext) {
+  // Use stored API key (not the constant, in case it was changed after setup)
+  const provider = _getActiveProvider();
+  const apiKey = _getProviderApiKey(provider);
+
+  const mimeType = content.mimeType;
+  const originalFilename = file.getName();
+  const inbox = runContext.inbox || {};
+  const model = inbox.model || provider.model;
+  const newFolderHint = ALLOW_NEW_SUBFOLDERS_UNDER.length > 0
+    ? `If no folder fits, you may instead suggest a new folder directly under one of: ${JSON.stringify(ALLOW_NEW_SUBFOLDERS_UNDER)}.\n`
+    : '';
+  const inboxInstructions = inbox.promptAdditions ? `Additional instructions: ${inbox.promptAdditions}\n` : '';
+  const metadataTask = METADATA_EXTRACTION_ENABLED
+    ? `4. Classify the document as one of the types below, or "other", and extract that type's fields into "metadata". Use null for anything the document does not state.\n${_describeExtractionSchemas()}\n`
+    : '';
+  const metadataKeys = METADATA_EXTRACTION_ENABLED ? ', "documentType", "metadata"' : '';
+  const correctionExamples = _describeCorrectionExamples(runContext, file, content);
+  const correctionHint = correctionExamples
+    ? `The user moved these similar files after they were filed. Follow their choices for files like them:\n${correctionExamples}\n`
+    : '';
+  
+  const prompt = `Analyze the content of the attached file (MIME type: ${mimeType}). The original filename is "${originalFilename}".
 
 TASKS:
 1. Suggest a concise, human-friendly filename. • Include a date only if the file itself clearly contains a meaningful date that will help users identify it. • If no useful date is present or it adds no value, omit the date. • Never invent a date.
+   Also give its parts: "title" (a short description of the document, without date or sender), "date" (YYYY-MM-DD, or "" under the same rules) and "vendor" (the company or person who issued it, or "").
 2. From the list of folders, pick the single most appropriate destination path.
+3. Rate your confidence in that destination from 0 to 1, explain the choice in one short sentence and list up to 3 alternative paths from the list, best first.
+${metadataTask}
+Available Folders, one per line as: path — purpose (e.g. files already in it)
+${_describeCandidateFolders(runContext.folders, file, content)}
+${newFolderHint}${correctionHint}${inboxInstructions}
+Respond ONLY with a minified JSON object using exact keys "newFilename", "title", "date", "vendor", "destinationFolder", "confidence", "reason", "alternativeFolders"${metadataKeys}.`;
+  
+  const request = provider.buildRequest(prompt, content, apiKey, model);
+  if (METADATA_EXTRACTION_ENABLED && provider.applyResponseSchema) {
+    provider.applyResponseSchema(request, _buildSuggestionSchema());
+  }
+  const response = _fetchAiResponse(AI_PLATFORM, request, _estimateRequestTokens(prompt, content));
+  
+  const responseCode = response.getResponseCode();
+  Logger.log(`API response code: ${responseCode}`);
+  
+  if (responseCode !== 200) {
+    const errorText = response.getContentText();
+    Logger.log(`API error response: ${errorText.substring(0, 200)}...`);
+    throw new Error(`API call failed with status ${responseCode}`);
+  }
 
-Available Folders: ${folderListString}
+  const responseText = response.getContentText();
+  Logger.log(`Response snippet: ${responseText.substring(0, 100)}...`);
+  
+  // Parse response with better error handling
+  let jsonResponse, resultText, result;
+  try {
+    jsonResponse = JSON.parse(responseText);
+    resultText = provider.extractText(jsonResponse);
 
-Respond ONLY with a minified JSON object using exact keys "newFilename" and "destinationFolder".`;
-    
-        let response;
-    if (AI_PLATFORM === "GEMINI") {
-      const requestBody = { "contents": [{ "parts": [{ "text": prompt }, { "inline_data": { "mime_type": mimeType, "data": base64Data } }] }] };
-      const requestOptions = { 'method': 'post', 'contentType': 'application/json', 'payload': JSON.stringify(requestBody), 'muteHttpExceptions': true };
-      const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`;
-      response = UrlFetchApp.fetch(apiUrl, requestOptions);
-    } else if (AI_PLATFORM === "OPENAI") {
-      const chatRequest = {
-        model: OPENAI_MODEL,
-        messages: [{ role: "user", content: `${prompt}\n\n[BASE64_ENCODED_FILE_CONTENT]\n${base64Data}` }]
-      };
-      const requestOptions = {
-        method: 'post',
-        contentType: 'application/json',
-        headers: { Authorization: `Bearer ${apiKey}` },
-        payload: JSON.stringify(chatRequest),
-        muteHttpExceptions: true
-      };
-      const apiUrl = "https://api.openai.com/v1/chat/completions";
-      response = UrlFetchApp.fetch(apiUrl, requestOptions);
-    } else {
-      throw new Error(`Unsupported AI_PLATFORM: ${AI_PLATFORM}`);
+    const cleanedJsonString = resultText.replace(/```json|```/g, '').trim();
+    result = JSON.parse(cleanedJsonString);
+
+    if (!result.newFilename || !result.destinationFolder) {
+      throw new Error(`Missing required fields in response: ${cleanedJsonString.substring(0, 100)}...`);
     }
-    properties.setProperty('lastApiCallTime', new Date().getTime().toString());
-    
-    const responseCode = response.getResponseCode();
-    Logger.log(`API response code: ${responseCode}`);
-    
-    if (responseCode !== 200) {
-      const errorText = response.getContentText();
-      Logger.log(`API error response: ${errorText.substring(0, 200)}...`);
-      throw new Error(`API call failed with status ${responseCode}`);
+
+    // A missing or malformed confidence counts as no confidence at all
+    const confidence = parseFloat(result.confidence);
+    result.confidence = isNaN(confidence) ? 0 : Math.min(Math.max(confidence, 0), 1);
+    result.reason = result.reason ? String(result.reason) : '';
+    result.alternativeFolders = (Array.isArray(result.alternativeFolders) ? result.alternativeFolders : [])
+      .map(path => String(path).trim())
+      .filter(path => path && path !== result.destinationFolder)
+      .slice(0, 3);
+    result.newFilename = _buildFilename(file, result);
+    if (METADATA_EXTRACTION_ENABLED) {
+      result.documentType = result.documentType ? String(result.documentType) : 'other';
+      result.metadata = _cleanExtractedMetadata(result.documentType, result.metadata);
+    } else {
+      delete result.documentType;
+      delete result.metadata;
     }
+  } catch (jsonError) {
+    Logger.log(`JSON parsing error: ${jsonError}. Raw response: ${resultText ? resultText.substring(0, 200) : 'undefined'}...`);
+    // The file is quarantined with the raw answer as the reason
+    result = {
+      newFilename: originalFilename,
+      destinationFolder: '',
+      confidence: 0,
+      reason: `The response could not be read: ${resultText ? resultText.substring(0, 200) : 'empty response'}`,
+      alternativeFolders: [],
+      parseError: true
+    };
+  }
 
-    const responseText = response.getContentText();
-    Logger.log(`Response snippet: ${responseText.substring(0, 100)}...`);
-    
-        // Parse response with better error handling
-    let jsonResponse, resultText, result;
-    try {
-      jsonResponse = JSON.parse(responseText);
-
-      if (AI_PLATFORM === "GEMINI") {
-        if (!jsonResponse.candidates || 
-            !jsonResponse.candidates[0] || 
-            !jsonResponse.candidates[0].content || 
-            !jsonResponse.candidates[0].content.parts || 
-            !jsonResponse.candidates[0].content.parts[0] || 
-            !jsonResponse.candidates[0].content.parts[0].text) {
-          throw new Error(`Invalid response structure: ${JSON.stringify(jsonResponse).substring(0, 200)}...`);
-        }
-        resultText = jsonResponse.candidates[0].content.parts[0].text;
-      } else if (AI_PLATFORM === "OPENAI") {
-        if (!jsonResponse.choices || !jsonResponse.choices[0] || !jsonResponse.choices[0].message || !jsonResponse.choices[0].message.content) {
-          throw new Error(`Invalid response structure from OpenAI: ${JSON.stringify(jsonResponse).substring(0,200)}...`);
-        }
-        resultText = jsonResponse.choices[0].message.content;
-      } else {
-        throw new Error(`Unsupported AI_PLATFORM: ${AI_PLATFORM}`);
-      }
+  result.source = model;
+  if (jsonResponse && provider.extractUsage) {
+    result.usage = Object.assign({ provider: AI_PLATFORM, model: model }, provider.extractUsage(jsonResponse));
+  }
+  return result;
+}
+
+/**
+ * Decides whether an AI suggestion is too doubtful to apply.
+ * @param {Object} result - The suggestion from _requestAiSuggestion
+ * @param {Object} runContext - Provides the scoped folder cache (`folders`) and the `inbox`
+ * @returns {string|null} - Why the file should be quarantined, or null if the suggestion can be used
+ */
+function _getQuarantineReason(result, runContext) {
+  if (result.parseError) {
+    return 'The AI response could not be parsed.';
+  }
+  if (runContext.inbox && !_isPathInScope(result.destinationFolder, runContext.inbox.scope)) {
+    return `Suggested folder "${result.destinationFolder}" is outside the scope of inbox '${runContext.inbox.name}'.`;
+  }
+  if (!runContext.folders.has(result.destinationFolder) && !result.createMissingFolders) {
+    return `Suggested folder "${result.destinationFolder}" does not exist.`;
+  }
+  if (result.confidence < MIN_CONFIDENCE) {
+    return `Confidence ${result.confidence} is below ${MIN_CONFIDENCE}.`;
+  }
+  return null;
+}
 
-      const cleanedJsonString = resultText.replace(/```json|```/g, '').trim();
-      result = JSON.parse(cleanedJsonString);
+/**
+ * Moves a file into QUARANTINE_FOLDER_PATH under its original name and adds the suggestion,
+ * the AI's reason and the alternative folders to the file's description.
+ *
+ * @param {File} file - The Google Drive file to quarantine
+ * @param {Object} result - The suggestion from _requestAiSuggestion
+ * @param {string} quarantineReason - Why the suggestion was not applied
+ * @param {Object} runContext - {runId, folders} of the current run
+ * @returns {boolean} - True if the file was moved
+ */
+function _quarantineFile(file, result, quarantineReason, runContext) {
+  const lines = [`Quarantined ${new Date().toISOString()}: ${quarantineReason}`];
+  if (result.destinationFolder) {
+    lines.push(`Suggested: "${result.newFilename}" in ${result.destinationFolder} (confidence ${result.confidence})`);
+  }
+  if (result.reason) {
+    lines.push(`Reason: ${result.reason}`);
+  }
+  if (result.alternativeFolders && result.alternativeFolders.length > 0) {
+    lines.push(`Alternatives: ${result.alternativeFolders.join(', ')}`);
+  }
+  _appendToDescription(file, lines.join('\n'));
+
+  Logger.log(`Quarantining '${file.getName()}': ${quarantineReason}`);
+  return _moveFileToDestination(file, {
+    newFilename: file.getName(),
+    destinationFolder: QUARANTINE_FOLDER_PATH,
+    createMissingFolders: true,
+    summary: result.summary,
+    excerpt: result.excerpt
+  }, runContext);
+}
+
+/**
+ * @param {string} path
+ * @returns {boolean} - True for the quarantine, dead-letter and duplicates folders, which are never destinations
+ */
+function _isReservedFolderPath(path) {
+  return path === QUARANTINE_FOLDER_PATH || path === DEAD_LETTER_FOLDER_PATH || path === DUPLICATES_FOLDER_PATH;
+}
+
+/**
+ * Renames a file and moves it to the destination path of an AI suggestion.
+ * The name is cleaned up and made unique in the folder first (see _finalizeFilename).
+ * The path is validated against the folder cache (see _resolveDestinationFolder) and the folder
+ * is opened by its cached ID. Folders are only created for routing rules and the quarantine
+ * folder (`createMissingFolders`) or where the creation policy allows it. A path that cannot be
+ * found leaves the file in place and requests a folder rescan. A move Drive forbids throws an error
+ * marked `permanent`, as retrying it cannot help. Every successful move is added to the run's undo
+ * journal entries, which the caller saves once the run is done.
+ *
+ * @param {File} file - The Google Drive file to move
+ * @param {{newFilename: string, destinationFolder: string, createMissingFolders: boolean}} result - The suggestion to apply;
+ *     its `summary` and `excerpt`, if any, are kept in the undo journal entry
+ * @param {Object} runContext - {runId, folders, undoJournal} of the run making the change
+ * @returns {boolean} - True if the file was renamed and moved
+ */
+function _moveFileToDestination(file, result, runContext) {
+  try {
+    const folders = runContext.folders;
+    let destinationFolder = result.destinationFolder;
+    let createMissingFolders = !!result.createMissingFolders;
 
-      if (!result.newFilename || !result.destinationFolder) {
-        throw new Error(`Missing required fields in response: ${cleanedJsonString.substring(0, 100)}...`);
+    if (!createMissingFolders) {
+      const destination = _resolveDestinationFolder(destinationFolder, folders);
+      if (destination) {
+        destinationFolder = destination.path;
+        createMissingFolders = destination.create;
       }
-    } catch (jsonError) {
-      Logger.log(`JSON parsing error: ${jsonError}. Raw response: ${resultText ? resultText.substring(0, 200) : 'undefined'}...`);
-      // Provide fallback values
-      result = {
-        newFilename: originalFilename,
-        destinationFolder: "/Unprocessed Files"
-      };
-      Logger.log(`Using fallback values: ${JSON.stringify(result)}`);
     }
 
-    // Move file to appropriate folder
+    // Paths missing from the cache may still exist in Drive if they were created since the last scan
+    const targetFolder = _getFolderForPath(destinationFolder, folders, createMissingFolders);
+    if (!targetFolder) {
+      Logger.log(`Destination path "${destinationFolder}" does not exist. File will remain in ` +
+                 `${runContext.inbox ? `"${runContext.inbox.name}"` : 'its current folder'} for now.`);
+      _requestFolderRescan(`"${destinationFolder}" was not found`);
+      return false;
+    }
+    if (!folders.has(destinationFolder) && !_isReservedFolderPath(destinationFolder)) {
+      _requestFolderRescan(`"${destinationFolder}" is missing from the folder cache`);
+    }
+
+    const oldName = file.getName();
+    const oldParentIds = _getParentIds(file);
+    const newName = _finalizeFilename(file, result.newFilename, targetFolder, destinationFolder);
+
     try {
-      // First check if this path exists as-is in our folder cache
-      const folderCache = JSON.parse(PropertiesService.getScriptProperties().getProperty('folderCache') || '[]');
-      const destinationExists = folderCache.some(path => path === result.destinationFolder);
-      
-      if (!destinationExists) {
-        Logger.log(`Warning: Folder path "${result.destinationFolder}" not found in folder cache. ` +
-                  `Will check if it exists in Drive...`);
-        
-        // Try to find the folder by navigating the path
-        const pathParts = result.destinationFolder.split('/').filter(p => p);
-        let targetFolder = DriveApp.getRootFolder();
-        let folderExists = true;
-        
-        for (const part of pathParts) {
-          const folders = targetFolder.getFoldersByName(part);
-          if (folders.hasNext()) {
-            targetFolder = folders.next();
-          } else {
-            folderExists = false;
-            break;
-          }
-        }
-        
-        if (!folderExists) {
-          Logger.log(`Destination path "${result.destinationFolder}" does not exist. ` + 
-                    `Triggering folder rescan. File will remain in "${SOURCE_FOLDER_NAME}" for now.`);
-          
-          // Schedule a folder rescan
-          startFolderScan();
-          
-          // Skip processing this file - leave it in the source folder
-          // It will be processed again after the folder scan completes
-          return;
-        } else {
-          Logger.log(`Folder exists in Drive but was missing from cache. Using existing folder.`);
-        }
-      }
-      
-      // At this point, either the folder exists in our cache or we confirmed it exists in Drive
-      const pathParts = result.destinationFolder.split('/').filter(p => p);
-      let targetFolder = DriveApp.getRootFolder();
-      for (const part of pathParts) {
-        const folders = targetFolder.getFoldersByName(part);
-        targetFolder = folders.hasNext() ? folders.next() : targetFolder.createFolder(part);
+      _moveFile(file, newName, targetFolder.getId());
+    } catch (moveError) {
+      if (_isForbiddenMoveError(moveError)) {
+        Logger.log(`Drive does not allow moving '${oldName}' to '${destinationFolder}' (${moveError.message}). ` +
+                   `This usually means a move between Shared Drives or out of a Shared Drive you cannot manage. File was left where it is.`);
+        const forbiddenError = new Error(`Drive does not allow moving the file to '${destinationFolder}': ${moveError.message}`);
+        forbiddenError.permanent = true;
+        throw forbiddenError;
       }
+      throw moveError;
+    }
+    Logger.log(`File '${newName}' moved to '${destinationFolder}'.`);
 
-      file.setName(result.newFilename);
-      file.moveTo(targetFolder);
-      Logger.log(`File '${file.getName()}' moved to '${result.destinationFolder}'.`);
-    } catch (moveError) {
-      Logger.log(`Error moving file: ${moveError}. File was not moved.`);
+    runContext.undoJournal.push({
+      runId: runContext.runId,
+      timestamp: new Date().toISOString(),
+      fileId: file.getId(),
+      oldName: oldName,
+      oldParentIds: oldParentIds,
+      newName: newName,
+      newFolderId: targetFolder.getId(),
+      newFolderPath: destinationFolder,
+      summary: result.summary || '',
+      excerpt: result.excerpt || ''
+    });
+    return true;
+  } catch (moveError) {
+    if (moveError.permanent) {
+      throw moveError;
     }
+    Logger.log(`Error moving file: ${moveError}. File was not moved.`);
+    return false;
+  }
+}
+
+/**
+ * Renames a file and moves it into a folder in one step. With the advanced Drive service this is a
+ * single Files.update call that works across My Drive and Shared Drives; without it DriveApp is
+ * used and the rename is rolled back if the move fails.
+ * @param {File} file - The file to move
+ * @param {string} newName - The file's new name
+ * @param {string} targetFolderId - ID of the destination folder
+ */
+function _moveFile(file, newName, targetFolderId) {
+  const oldParentIds = _getParentIds(file);
+  if (typeof Drive !== 'undefined') {
+    Drive.Files.update({ name: newName }, file.getId(), null, {
+      addParents: targetFolderId,
+      removeParents: oldParentIds.filter(id => id !== targetFolderId).join(','),
+      supportsAllDrives: true
+    });
+    return;
+  }
 
+  const oldName = file.getName();
+  file.setName(newName);
+  try {
+    file.moveTo(DriveApp.getFolderById(targetFolderId));
   } catch (e) {
-    Logger.log(`Error processing file ${file.getName()} (ID: ${fileId}): ${e.toString()}`);
-    if (e.stack) {
-      Logger.log(`Stack trace: ${e.stack}`);
+    file.setName(oldName);
+    throw e;
+  }
+}
+
+/**
+ * Recognizes the errors Drive returns for moves it does not permit, such as moving a file between
+ * Shared Drives without the organizer role or into a Shared Drive the owner is not a member of.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function _isForbiddenMoveError(error) {
+  return /insufficientFilePermissions|teamDrive|shareOutNotPermitted|crossDomainMoveRestriction|fileOwnerNotMemberOf|cannotMove|Access denied/i
+    .test(String(error && error.message || error));
+}
+
+/**
+ * Matches a suggested destination against the folder cache. In order of preference:
+ * 1. An exact match (after tidying slashes and whitespace)
+ * 2. A path that differs only in case, accents, spacing or punctuation
+ * 3. The closest fuzzy match whose every segment is at least FUZZY_MATCH_THRESHOLD similar
+ * 4. A new folder, if FOLDER_CREATION_ALLOW_LIST or ALLOW_NEW_SUBFOLDERS_UNDER permits it
+ *
+ * @param {string} path - The suggested destination path
+ * @param {Map<string, Object>} folders - The folder cache keyed by path
+ * @returns {{path: string, create: boolean}|null} - The path to use and whether it may be
+ *     created, or null if the suggestion matches nothing
+ */
+function _resolveDestinationFolder(path, folders) {
+  const cleanPath = _normalizeFolderPath(path);
+  if (cleanPath === '/' || cleanPath === '//') {
+    return null;
+  }
+  if (folders.has(cleanPath)) {
+    return { path: cleanPath, create: false };
+  }
+
+  const segments = _folderMatchKey(cleanPath).split('/');
+  let bestPath = null;
+  let bestScore = 0;
+  for (const candidate of folders.keys()) {
+    const candidateSegments = _folderMatchKey(candidate).split('/');
+    if (candidateSegments.length !== segments.length) continue;
+
+    // A path is only as similar as its least similar segment, so "/Invoices/2024" never matches "/Invoices/2025"
+    const score = Math.min(...segments.map((segment, index) => _stringSimilarity(segment, candidateSegments[index])));
+    if (score > bestScore) {
+      bestScore = score;
+      bestPath = candidate;
+    }
+  }
+
+  if (bestScore >= FUZZY_MATCH_THRESHOLD) {
+    Logger.log(`Destination "${path}" is not in the folder cache; using closest match "${bestPath}".`);
+    return { path: bestPath, create: false };
+  }
+  if (_isFolderCreationAllowed(cleanPath)) {
+    Logger.log(`Destination "${cleanPath}" does not exist yet and will be created.`);
+    return { path: cleanPath, create: true };
+  }
+  return null;
+}
+
+/**
+ * Checks the folder creation policy for a path that is not in the folder cache.
+ * @param {string} path - A tidied path such as "/Clients/Acme"
+ * @returns {boolean}
+ */
+function _isFolderCreationAllowed(path) {
+  const key = _folderMatchKey(path);
+  if (FOLDER_CREATION_ALLOW_LIST.some(allowedPath => _folderMatchKey(allowedPath) === key)) {
+    return true;
+  }
+  const parentKey = key.substring(0, key.lastIndexOf('/'));
+  return ALLOW_NEW_SUBFOLDERS_UNDER.some(parentPath => _folderMatchKey(parentPath) === parentKey);
+}
+
+/**
+ * Normalizes a path for comparison: lower case, accents removed and runs of spaces, dashes,
+ * underscores and dots collapsed to a single space within each segment.
+ * @param {string} path
+ * @returns {string} - e.g. "/finance/tax returns"
+ */
+function _folderMatchKey(path) {
+  return _normalizeFolderPath(String(path).split('/')
+    .map(segment => segment.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[\s_\-.]+/g, ' ').trim())
+    .join('/'));
+}
+
+/**
+ * Tidies a path: trims each segment and drops empty ones, keeping the "//" prefix of Shared Drive
+ * paths.
+ * @param {string} path - e.g. " /Finance//Invoices/ " or "//Legal/Contracts"
+ * @returns {string} - e.g. "/Finance/Invoices" or "//Legal/Contracts"
+ */
+function _normalizeFolderPath(path) {
+  const trimmedPath = String(path || '').trim();
+  const prefix = trimmedPath.startsWith('//') ? '//' : '/';
+  return prefix + trimmedPath.split('/').map(part => part.trim()).filter(part => part).join('/');
+}
+
+/**
+ * Similarity of two strings from 0 (nothing in common) to 1 (identical), based on edit distance.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function _stringSimilarity(a, b) {
+  if (a === b) return 1;
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow[j] = Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + substitutionCost);
+    }
+    previousRow = currentRow;
+  }
+  return 1 - previousRow[b.length] / longest;
+}
+
+/**
+ * Opens the folder at a path. Cached folders are opened by ID; only segments below the deepest
+ * cached ancestor are looked up by name. Shared Drive paths ("//Drive/...") need their drive in the
+ * cache, since Shared Drives cannot be created here.
+ * @param {string} path - e.g. "/Finance/Invoices"
+ * @param {Map<string, Object>} folders - The folder cache keyed by path
+ * @param {boolean} createMissing - Create missing folders instead of giving up
+ * @returns {Folder|null} - The folder, or null if part of the path does not exist
+ */
+function _getFolderForPath(path, folders, createMissing) {
+  const prefix = path.startsWith('//') ? '//' : '/';
+  const parts = path.split('/').filter(p => p);
+  let folder = prefix === '/' ? DriveApp.getRootFolder() : null;
+  let depth = 0;
+  for (let i = parts.length; i > 0; i--) {
+    const cached = folders.get(prefix + parts.slice(0, i).join('/'));
+    if (!cached) continue;
+    try {
+      const cachedFolder = DriveApp.getFolderById(cached.id);
+      if (!cachedFolder.isTrashed()) {
+        folder = cachedFolder;
+        depth = i;
+        break;
+      }
+    } catch (e) {
+      Logger.log(`Cached folder "${cached.path}" (ID: ${cached.id}) could not be opened: ${e.toString()}`);
+    }
+  }
+  if (!folder) {
+    return null;
+  }
+
+  for (const part of parts.slice(depth)) {
+    const matches = folder.getFoldersByName(part);
+    if (matches.hasNext()) {
+      folder = matches.next();
+    } else if (createMissing) {
+      folder = folder.createFolder(part);
+    } else {
+      return null;
     }
   }
+  return folder;
 }
 
 function _createMinuteTrigger(functionName, minutes) {
@@ -723,14 +5380,14 @@ function _getFolderPath(folder) {
 /**
  * Checks if a folder should be blacklisted based on the BLACKLISTED_PATHS configuration.
  * Supports both simple folder names and full paths from root.
- * @param {Folder} folder - The Google Drive folder to check
- * @param {string} folderPath - The full path of the folder (optional, will be computed if not provided)
+ * @param {Folder|string} folder - The Google Drive folder to check, or just its name
+ * @param {string} folderPath - The full path of the folder (optional if a Folder is given, will be computed if not provided)
  * @returns {boolean} - True if the folder should be excluded
  */
 function _isFolderBlacklisted(folder, folderPath) {
     if (BLACKLISTED_PATHS.length === 0) return false;
     
-    const folderName = folder.getName();
+    const folderName = typeof folder === 'string' ? folder : folder.getName();
     const fullPath = folderPath || _getFolderPath(folder);
     
     // Remove leading slash for comparison
@@ -746,7 +5403,232 @@ function _isFolderBlacklisted(folder, folderPath) {
         if (cleanPath === blacklistedItem || cleanPath.startsWith(blacklistedItem + '/')) {
             return true;
         }
+        
+        // Shared Drive paths are compared with their "//" prefix
+        if (blacklistedItem.startsWith('//') && (fullPath === blacklistedItem || fullPath.startsWith(blacklistedItem + '/'))) {
+            return true;
+        }
     }
     
     return false;
 }
+
+/**
+ * Returns the name of the model used for the configured AI_PLATFORM.
+ * @returns {string}
+ */
+function _getActiveModelName() {
+  return _getActiveProvider().model;
+}
+
+/**
+ * Opens the organizer spreadsheet, creating it on first use. Its ID is kept in script
+ * properties so renaming or moving the spreadsheet does not break it.
+ * @returns {Spreadsheet}
+ */
+function _getOrganizerSpreadsheet() {
+  const properties = PropertiesService.getScriptProperties();
+  const spreadsheetId = properties.getProperty('organizerSpreadsheetId');
+  if (spreadsheetId) {
+    try {
+      return SpreadsheetApp.openById(spreadsheetId);
+    } catch (e) {
+      Logger.log(`Organizer spreadsheet ${spreadsheetId} could not be opened (${e.toString()}). Creating a new one.`);
+    }
+  }
+  const spreadsheet = SpreadsheetApp.create(ORGANIZER_SPREADSHEET_NAME);
+  properties.setProperty('organizerSpreadsheetId', spreadsheet.getId());
+  Logger.log(`Created organizer spreadsheet: ${spreadsheet.getUrl()}`);
+  return spreadsheet;
+}
+
+/**
+ * Returns a tab of the organizer spreadsheet, creating it with a frozen header row if needed.
+ * @param {string} sheetName - The tab name
+ * @param {string[]} headers - Column headers used when the tab is created
+ * @returns {Sheet}
+ */
+function _getOrganizerSheet(sheetName, headers) {
+  const spreadsheet = _getOrganizerSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.appendRow(headers);
+    sheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Reads all data rows of a sheet as objects keyed by header, each with its 1-based rowNumber.
+ * @param {Sheet} sheet
+ * @returns {Object[]}
+ */
+function _readSheetRecords(sheet) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values.shift() || [];
+  return values.map((row, index) => {
+    const record = { rowNumber: index + 2 };
+    headers.forEach((header, column) => record[header] = row[column]);
+    return record;
+  });
+}
+
+/**
+ * Writes the given header → value pairs into one row of a sheet. Unknown headers are ignored.
+ * @param {Sheet} sheet
+ * @param {number} rowNumber - 1-based row number
+ * @param {Object} updates - Values keyed by column header
+ */
+function _updateSheetRecord(sheet, rowNumber, updates) {
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  Object.keys(updates).forEach(header => {
+    const column = headers.indexOf(header);
+    if (column !== -1) {
+      sheet.getRange(rowNumber, column + 1).setValue(updates[header]);
+    }
+  });
+}
+
+/**
+ * Returns a new unique ID for a processing run, used to group undo journal entries.
+ * @returns {string}
+ */
+function _newRunId() {
+  return `${new Date().toISOString()}_${Utilities.getUuid().substring(0, 8)}`;
+}
+
+/**
+ * Emails a notification to NOTIFICATION_EMAIL, or to the account running the script.
+ * @param {string} subject - Prefixed with the script's name
+ * @param {string} body - Plain text
+ */
+function _sendNotification(subject, body) {
+  try {
+    const recipient = NOTIFICATION_EMAIL || Session.getEffectiveUser().getEmail();
+    MailApp.sendEmail(recipient, `Gemini File Organizer: ${subject}`, body);
+    Logger.log(`Sent notification '${subject}' to ${recipient}.`);
+  } catch (e) {
+    Logger.log(`Error sending notification '${subject}': ${e.toString()}`);
+  }
+}
+
+/**
+ * @param {string} message
+ * @returns {Error} - An error marked `permanent`: the file cannot succeed as it is, so it is
+ *     dead-lettered on the first failure instead of being retried (see _recordFileFailure)
+ */
+function _permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+/**
+ * Adds a note to the end of a file's description, keeping what the user wrote there.
+ * @param {File} file
+ * @param {string} note
+ */
+function _appendToDescription(file, note) {
+  const description = file.getDescription() || '';
+  file.setDescription(description ? `${description}\n\n${note}` : note);
+}
+
+/**
+ * Returns the IDs of all parent folders of a file.
+ * @param {File} file
+ * @returns {string[]}
+ */
+function _getParentIds(file) {
+  const parentIds = [];
+  const parents = file.getParents();
+  while (parents.hasNext()) {
+    parentIds.push(parents.next().getId());
+  }
+  return parentIds;
+}
+
+/**
+ * Returns a response header by name, ignoring case.
+ * @param {HTTPResponse} response
+ * @param {string} name
+ * @returns {string|null}
+ */
+function _getResponseHeader(response, name) {
+  const headers = response.getAllHeaders();
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * -----------------------------------------------------------------------------
+ * DATA FILES
+ * -----------------------------------------------------------------------------
+ * State that outgrows PropertiesService (9 KB per value) is kept as JSON files in a hidden folder
+ * in the Drive root. The folder name starts with "." so the folder scanner never indexes it.
+ */
+
+const DATA_FOLDER_NAME = '.gemini-file-organizer';
+
+/**
+ * Returns the hidden data folder, creating it on first use.
+ * @returns {Folder}
+ */
+function _getDataFolder() {
+  const properties = PropertiesService.getScriptProperties();
+  const folderId = properties.getProperty('dataFolderId');
+  if (folderId) {
+    try {
+      const folder = DriveApp.getFolderById(folderId);
+      if (!folder.isTrashed()) return folder;
+    } catch (e) {
+      Logger.log(`Data folder ${folderId} could not be opened (${e.toString()}). Creating a new one.`);
+    }
+  }
+  const folder = DriveApp.getRootFolder().createFolder(DATA_FOLDER_NAME);
+  properties.setProperty('dataFolderId', folder.getId());
+  return folder;
+}
+
+/**
+ * Finds a data file by name, or returns null if it has not been written yet.
+ * @param {string} name - File name within the data folder
+ * @returns {File|null}
+ */
+function _getDataFile(name) {
+  const files = _getDataFolder().getFilesByName(name);
+  return files.hasNext() ? files.next() : null;
+}
+
+/**
+ * Reads and parses a JSON data file.
+ * @param {string} name - File name within the data folder
+ * @param {*} defaultValue - Returned if the file does not exist or cannot be parsed
+ * @returns {*}
+ */
+function _loadDataFile(name, defaultValue) {
+  const file = _getDataFile(name);
+  if (!file) return defaultValue;
+  try {
+    return JSON.parse(file.getBlob().getDataAsString());
+  } catch (e) {
+    Logger.log(`Error reading data file '${name}': ${e.toString()}. Using default value.`);
+    return defaultValue;
+  }
+}
+
+/**
+ * Writes a value to a JSON data file, creating the file if needed.
+ * @param {string} name - File name within the data folder
+ * @param {*} value - Any JSON-serializable value
+ */
+function _saveDataFile(name, value) {
+  const content = JSON.stringify(value);
+  const file = _getDataFile(name);
+  if (file) {
+    file.setContent(content);
+  } else {
+    _getDataFolder().createFile(name, content, MimeType.PLAIN_TEXT);
+  }
+}